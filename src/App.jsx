@@ -1,11 +1,27 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useWakeWord } from './hooks/useWakeWord';
 import { useAssistant } from './hooks/useAssistant';
 import { useDebugAudio } from './hooks/useDebugAudio';
+import { useRejectedDetections } from './hooks/useRejectedDetections';
+import { useSpeakerProfiles } from './hooks/useSpeakerProfiles';
+import { useTrainedWakeWords } from './hooks/useTrainedWakeWords';
+import { useWakeWordTrainer } from './hooks/useWakeWordTrainer';
+import { useEvaluation } from './hooks/useEvaluation';
 import { AudioVisualizer } from './components/AudioVisualizer';
+import { EvaluationPanel } from './components/EvaluationPanel';
+
+// Push-to-talk recordings of the wake word that make up a speaker profile
+const ENROLLMENT_UTTERANCES = 3;
 
 function App() {
   const [lastRecording, setLastRecording] = useState(null);
+  // Speaker being enrolled, { name, voicePrints }; its push-to-talk recordings do not go to the assistant
+  const [enrollment, setEnrollment] = useState(null);
+  const enrollmentRef = useRef(null);
+  // Takes push-to-talk recordings while a custom wake word is being trained
+  const trainingRef = useRef(null);
+  // Aliasing of the capture resampler while its test sweep replaces the microphone, null when off
+  const [testSignal, setTestSignalReport] = useState(null);
 
   // Initialize Assistant Hook
   const {
@@ -14,43 +30,185 @@ function App() {
     response,
     progress,
     processAudio,
+    interrupt,
+    referenceStream,
     logs
   } = useAssistant();
 
-  const { clips, addClip, deleteClip, getClipData } = useDebugAudio();
+  const { clips, addClip, deleteClip, getClipData, setClipLabel, getAllClips } = useDebugAudio();
+
+  const { rejections, addRejection, clearRejections } = useRejectedDetections();
+
+  // Whisper verification costs a second model download, so it is off until turned on
+  const [verifyWakeWords, setVerifyWakeWords] = useState(false);
+
+  const { profiles: speakerProfiles, addProfile, deleteProfile } = useSpeakerProfiles();
+
+  const { models: trainedWakeWords, saveModel, deleteModel } = useTrainedWakeWords();
 
   const {
     start,
+    getInstance,
+    addWakeWord,
+    removeWakeWord,
+    wakeWordNames,
+    isReady,
     stopListening,
     resumeListening,
+    openFollowUp,
+    closeFollowUp,
+    setAssistantSpeaking,
+    setEchoCancellation,
+    setTestSignal,
+    setAudioDevice,
+    setAudioConstraints,
+    calibrate,
+    computeVoicePrint,
+    pressPushToTalk,
+    releasePushToTalk,
     isListening,
     isRecording,
+    isFollowUp,
+    isPushToTalk,
     probabilities,
     active,
+    detectionStates,
     frameBudget,
-    error
+    wakeWordLatencies,
+    isVerifying,
+    echoMetrics,
+    noiseFloor,
+    stats,
+    audioDevices,
+    audioDevice,
+    error,
+    isMicActive
   } = useWakeWord({
     debug: false,
+    // Send only the command to Whisper, not "hey buddy"
+    trimWakeWord: true,
+    // Confirm each detection with a small Whisper model before recording is dispatched
+    verifyWakeWords,
+    // After an answer, listen this long for a follow-up without "hey buddy"
+    followUpSeconds: 8,
+    // Hold (or tap, then tap again) to talk without the wake word
+    pushToTalkKey: 'Space',
+    // Cancel Morti's own voice from the microphone, so it does not start recordings
+    referenceStream,
+    // On a slow device skip the slowest wake words rather than analysing late, recordings stay complete either way
+    backpressure: 'degrade',
+    // Once someone has enrolled, only enrolled voices can wake Morti
+    speakerProfiles,
+    // "Hey buddy" while Morti talks cuts the answer off; the new command is recorded as usual
+    onDetected: (detection) => {
+      if (detection.bargeIn) interrupt();
+    },
+    // Kept next to the debug clips, to tune verification and speaker matching against
+    onWakeWordRejected: addRejection,
     onRecordingComplete: (buffer) => {
       // Logic handled in useEffect now to avoid state closure issues? 
       // No, direct call is fine.
       const wavUrl = samplesToWavUrl(buffer);
       setLastRecording(wavUrl);
+      if (trainingRef.current) {
+        trainingRef.current(buffer);
+        return;
+      }
+      if (enrollmentRef.current) {
+        computeVoicePrint(buffer)
+          .then(voicePrint => setEnrollment(prev => prev && { ...prev, voicePrints: [...prev.voicePrints, voicePrint] }))
+          .catch(err => console.error("Enrollment failed:", err));
+        return;
+      }
       processAudio(buffer);
     }
   });
 
+  // Save the profile once enough utterances are recorded
+  useEffect(() => {
+    enrollmentRef.current = enrollment;
+    if (enrollment && enrollment.voicePrints.length >= ENROLLMENT_UTTERANCES) {
+      addProfile(enrollment.name, enrollment.voicePrints);
+      setEnrollment(null);
+    }
+  }, [enrollment, addProfile]);
+
+  const {
+    evaluation,
+    progress: evaluationProgress,
+    error: evaluationError,
+    evaluate,
+    exportJSON,
+    exportCSV,
+    clear: clearEvaluation
+  } = useEvaluation({ getAllClips, getWakeWordInstance: getInstance });
+
+  const {
+    session: training,
+    error: trainingError,
+    begin: beginTraining,
+    cancel: cancelTraining,
+    setMode: setTrainingMode,
+    addRecording: addTrainingRecording,
+    train: trainWakeWord
+  } = useWakeWordTrainer({ getWakeWordInstance: getInstance });
+
+  useEffect(() => {
+    trainingRef.current = training && !training.training ? addTrainingRecording : null;
+  }, [training, addTrainingRecording]);
+
+  // Load saved custom wake words next to the ONNX models once the engine is up
+  const loadedTrainedRef = useRef(new Set());
+  useEffect(() => {
+    if (!isReady) {
+      loadedTrainedRef.current.clear();
+      return;
+    }
+    for (const record of trainedWakeWords) {
+      if (wakeWordNames.includes(record.name) || loadedTrainedRef.current.has(record.id)) continue;
+      loadedTrainedRef.current.add(record.id);
+      addWakeWord(record.name, record.model).catch(err => console.error("Loading trained wake word failed:", err));
+    }
+  }, [isReady, trainedWakeWords, wakeWordNames, addWakeWord]);
+
+  const finishTraining = async () => {
+    const result = await trainWakeWord();
+    if (!result) return;
+    try {
+      // The saved model replaces one trained earlier under the same name, and the effect above loads it;
+      // bundled models cannot be replaced, the trainer refuses their names
+      const retrained = trainedWakeWords.some(record => record.name === result.name);
+      if (retrained && wakeWordNames.includes(result.name)) await removeWakeWord(result.name);
+    } catch (err) {
+      console.error("Removing wake word failed:", err);
+    }
+    saveModel(result.name, result.model, result.metrics);
+  };
+
   // Manage Wake Word State based on Assistant Status
+  const previousStatusRef = useRef(assistantStatus);
   useEffect(() => {
+    const previousStatus = previousStatusRef.current;
+    previousStatusRef.current = assistantStatus;
+    setAssistantSpeaking(assistantStatus === 'speaking');
     if (assistantStatus === 'idle') {
       // Only resume if we have started at least once (mic active)
       // We can check isListening? No, isListening toggles with VAD?
       // We just call resumeListening, which checks if instance exists.
       resumeListening();
+      // A finished answer (not an error) invites a follow-up question
+      if (previousStatus === 'speaking') {
+        openFollowUp();
+      }
+    } else if (assistantStatus === 'speaking') {
+      // Keep listening for a barge-in
+      closeFollowUp();
+      resumeListening();
     } else {
+      closeFollowUp();
       stopListening();
     }
-  }, [assistantStatus, stopListening, resumeListening]);
+  }, [assistantStatus, stopListening, resumeListening, openFollowUp, closeFollowUp, setAssistantSpeaking]);
 
   // Auto-start listening on mount or button click (User might prefer auto-start for an "Assistant" feel, 
   // but browsers block audio context without interaction. We'll keep the button for now but style it.)
@@ -161,6 +319,7 @@ function App() {
             <AudioVisualizer
               probabilities={probabilities}
               active={active}
+              detectionStates={detectionStates}
               frameBudget={frameBudget}
             />
 
@@ -244,7 +403,14 @@ function App() {
 
               <div className="opacity-50">[SYSTEM] Initializing models...</div>
               {isListening && <div className="text-brand-green">[SUCCESS] Audio stream active. Listening for wake words...</div>}
-              {isRecording && <div className="text-brand-orange animate-pulse">[EVENT] Wake word detected! Recording audio clip...</div>}
+              {isFollowUp && <div className="text-brand-teal animate-pulse">[EVENT] Listening for a follow-up, no wake word needed...</div>}
+              {enrollment && <div className="text-brand-purple">[ENROLL] {enrollment.name}: hold to talk and say "hey buddy" ({enrollment.voicePrints.length + 1}/{ENROLLMENT_UTTERANCES})</div>}
+              {training && (training.training
+                ? <div className="text-brand-purple animate-pulse">[TRAIN] {training.name}: training, epoch {training.epoch}/{training.epochs}...</div>
+                : <div className="text-brand-purple">[TRAIN] {training.name}: hold to talk and {training.mode === 'positive' ? `say "${training.name}", then let go after a short pause` : 'record background noise or other speech'} ({training.positives} phrases, {training.negatives} background)</div>)}
+              {trainingError && <div className="text-red-400">[TRAIN] {trainingError}</div>}
+              {isPushToTalk && <div className="text-brand-orange animate-pulse">[EVENT] Push-to-talk. Recording audio clip...</div>}
+              {isRecording && !isPushToTalk && <div className="text-brand-orange animate-pulse">[EVENT] Wake word detected! Recording audio clip...</div>}
 
               {/* Historical Logs */}
               {logs.map((log, index) => (
@@ -294,6 +460,112 @@ function App() {
                 {transcript || "Waiting for command..."}
               </p>
             </div>
+
+            {/* Push-to-talk, same as holding the space bar */}
+            <button
+              onPointerDown={(e) => {
+                e.currentTarget.setPointerCapture(e.pointerId);
+                pressPushToTalk();
+              }}
+              onPointerUp={releasePushToTalk}
+              onPointerCancel={releasePushToTalk}
+              disabled={!isMicActive || (assistantStatus !== 'idle' && !isPushToTalk)}
+              className={`z-10 px-4 py-1.5 text-xs font-mono rounded-full border transition-colors select-none touch-none disabled:opacity-30
+                ${isPushToTalk ? 'bg-brand-orange/30 border-brand-orange text-brand-orange animate-pulse' : 'bg-white/5 border-white/10 hover:bg-white/10 text-white/60'}`}
+              title="Hold to talk, or tap to start and tap again to send (Space)"
+            >
+              {isPushToTalk ? 'RECORDING • RELEASE OR TAP TO SEND' : 'HOLD TO TALK [SPACE]'}
+            </button>
+
+            {/* Echo cancellation of Morti's voice, with how much of it is left */}
+            {echoMetrics && (
+              <button
+                onClick={() => setEchoCancellation(!echoMetrics.enabled)}
+                className="z-10 text-[10px] font-mono text-white/40 hover:text-white/70"
+                title="Toggle echo cancellation of the assistant's voice"
+              >
+                ECHO CANCEL {echoMetrics.enabled ? 'ON' : 'OFF'}
+                {echoMetrics.residualEchoLevel !== null && ` • residual ${echoMetrics.residualEchoLevel.toFixed(0)} dB (-${echoMetrics.suppression.toFixed(0)} dB)`}
+                {echoMetrics.doubleTalk && ' • barge-in'}
+              </button>
+            )}
+
+            {/* Second opinion on each detection from Whisper, loaded the first time it is turned on */}
+            {isMicActive && (
+              <button
+                onClick={() => setVerifyWakeWords(!verifyWakeWords)}
+                className={`z-10 text-[10px] font-mono text-white/40 hover:text-white/70 ${verifyWakeWords !== isVerifying ? 'animate-pulse' : ''}`}
+                title="Confirm each wake word detection with a small Whisper model before recording is sent"
+              >
+                VERIFY (WHISPER) {verifyWakeWords ? 'ON' : 'OFF'}
+              </button>
+            )}
+
+            {/* Microphone and the browser's processing of it; plugging a headset in or out is followed on its own */}
+            {audioDevice && (
+              <div className="z-10 flex items-center gap-2 text-[10px] font-mono text-white/40">
+                <select
+                  value={audioDevice.preferredDeviceId || ''}
+                  onChange={(e) => setAudioDevice(e.target.value || null).catch(err => console.error("Switching microphone failed:", err))}
+                  className="max-w-[160px] bg-transparent border border-white/10 rounded px-1 py-0.5 hover:text-white/70"
+                  title={`Capturing ${audioDevice.label || 'the default microphone'}`}
+                >
+                  <option value="">DEFAULT MIC</option>
+                  {audioDevices.filter(device => device.deviceId !== 'default').map(device => (
+                    <option key={device.deviceId} value={device.deviceId}>
+                      {device.label || `Microphone ${device.deviceId.slice(0, 6)}`}
+                    </option>
+                  ))}
+                </select>
+                {[['echoCancellation', 'AEC'], ['autoGainControl', 'AGC'], ['noiseSuppression', 'NS']].map(([constraint, label]) => (
+                  <button
+                    key={constraint}
+                    onClick={() => setAudioConstraints({ [constraint]: !audioDevice.constraints[constraint] })
+                      .catch(err => console.error("Changing microphone processing failed:", err))}
+                    className={`hover:text-white/70 ${audioDevice.constraints[constraint] ? 'text-white/60' : 'line-through'}`}
+                    title={`Browser ${constraint}, ${audioDevice.settings[constraint] === null ? 'not reported' : audioDevice.settings[constraint] ? 'applied' : 'not applied'} by this microphone`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Sweep instead of the microphone, record it to hear that nothing above 8 kHz folds back down */}
+            {isMicActive && (
+              <button
+                onClick={() => {
+                  try {
+                    const enabled = testSignal === null;
+                    const aliasing = setTestSignal(enabled);
+                    setTestSignalReport(enabled ? (aliasing || {}) : null);
+                  } catch (err) {
+                    console.error("Test signal failed:", err);
+                  }
+                }}
+                className="z-10 text-[10px] font-mono text-white/40 hover:text-white/70"
+                title="Capture a test sweep instead of the microphone to check the resampler does not alias"
+              >
+                TEST SIGNAL {testSignal ? 'ON' : 'OFF'}
+                {testSignal && testSignal.worstFrequency && ` • ${testSignal.quality} resampler ${(testSignal.sampleRate / 1000).toFixed(1)} → ${(testSignal.targetSampleRate / 1000).toFixed(0)} kHz • aliasing ${testSignal.aliasing.toFixed(0)} dB`}
+              </button>
+            )}
+
+            {/* Thresholds fitted to the room's noise, recalibrate after moving somewhere louder or quieter */}
+            {noiseFloor && (
+              <button
+                onClick={() => calibrate().catch(err => console.error("Calibration failed:", err))}
+                disabled={noiseFloor.calibrating}
+                className="z-10 text-[10px] font-mono text-white/40 hover:text-white/70 disabled:animate-pulse"
+                title="Stay quiet for a few seconds while the room's noise is measured"
+              >
+                {noiseFloor.calibrating
+                  ? `CALIBRATING ${(noiseFloor.progress * 100).toFixed(0)}%`
+                  : noiseFloor.calibrated
+                    ? `NOISE ${noiseFloor.level.toFixed(0)} dB • VAD ${noiseFloor.thresholds.positiveVadThreshold.toFixed(2)}/${noiseFloor.thresholds.negativeVadThreshold.toFixed(2)} • WAKE +${noiseFloor.thresholds.wakeWordThresholdOffset.toFixed(2)}`
+                    : 'CALIBRATE NOISE'}
+              </button>
+            )}
           </div>
 
           {/* Future Features / Stats */}
@@ -340,6 +612,32 @@ function App() {
               )}
             </div>
 
+            {/* Whether the wake word engine keeps up, for "it didn't hear me" reports */}
+            {stats && (
+              <div className="p-3 bg-white/5 rounded-lg border border-white/5 font-mono text-[10px] text-white/50">
+                <div className="flex justify-between items-center mb-1">
+                  <span className="text-xs uppercase">Wake Word Engine</span>
+                  <span className={stats.realTimeFactor > 1 ? 'text-red-400' : 'text-brand-green'} title="Processing time per second of audio">
+                    RTF {stats.realTimeFactor !== null ? stats.realTimeFactor.toFixed(2) : '-'}
+                  </span>
+                </div>
+                <div className={stats.batches.dropped > 0 ? 'text-brand-orange' : ''}>
+                  {stats.batches.processed} batches • {stats.batches.dropped} dropped • {stats.batches.late} late • {stats.batches.backlog} queued • {stats.executionProviders.join('/')}
+                </div>
+                {stats.degradedWakeWords.length > 0 && (
+                  <div className="text-brand-orange" title="Skipped until inference keeps up again">
+                    Skipping {stats.degradedWakeWords.join(', ')}
+                  </div>
+                )}
+                {[['frame', stats.frame], ...Object.entries(stats.models), ...Object.entries(stats.wakeWords)].map(([name, latency]) => (
+                  <div key={name} className="flex justify-between" title={`${latency.count} runs`}>
+                    <span className="truncate">{name}</span>
+                    <span>{latency.p50 !== null ? `${latency.p50.toFixed(1)} / ${latency.p90.toFixed(1)} / ${latency.p99.toFixed(1)} ms` : '-'}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="mt-auto p-3 bg-white/5 rounded-lg border border-white/5">
               <div className="flex justify-between items-center mb-2">
                 <span className="text-xs text-white/50 uppercase">Latest Audio Clip</span>
@@ -359,6 +657,14 @@ function App() {
         <div className="bg-black/80 backdrop-blur text-white p-4 rounded-lg border border-white/10 shadow-xl max-w-sm">
           <div className="flex justify-between items-center mb-2">
             <h4 className="text-xs font-bold text-brand-teal uppercase tracking-wider">Debug: Audio Injection</h4>
+            <button
+              onClick={() => evaluate()}
+              disabled={!!evaluationProgress}
+              className="ml-auto mr-2 px-2 py-0.5 bg-white/10 hover:bg-white/20 disabled:opacity-40 text-[10px] rounded border border-white/10 transition-colors"
+              title="Scan labeled clips and compute false-reject / false-accept curves"
+            >
+              EVALUATE
+            </button>
             <label className="cursor-pointer px-2 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors">
               UPLOAD WAV
               <input
@@ -374,6 +680,159 @@ function App() {
             </label>
           </div>
 
+          {/* Wake word models, loaded and unloaded without restarting the microphone */}
+          <div className="flex flex-wrap items-center gap-1 mb-2">
+            {wakeWordNames.map(name => (
+              <span key={name} className="flex items-center gap-1 px-1.5 py-0.5 bg-white/5 text-[10px] rounded border border-white/10">
+                {name}
+                {wakeWordLatencies[name] !== undefined && (
+                  <span className="text-white/40 font-mono">{wakeWordLatencies[name].toFixed(1)}ms</span>
+                )}
+                {isMicActive && (
+                  <button
+                    onClick={() => removeWakeWord(name).catch(e => console.error("Removing wake word failed:", e))}
+                    className="hover:text-red-400 transition-colors"
+                    title={`Unload ${name}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </span>
+            ))}
+            {isMicActive && (
+              <label className="cursor-pointer px-1.5 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors">
+                + ONNX
+                <input
+                  type="file"
+                  accept=".onnx"
+                  className="hidden"
+                  onChange={async (e) => {
+                    const file = e.target.files?.[0];
+                    if (!file) return;
+                    e.target.value = '';
+                    try {
+                      await addWakeWord(file.name.split('.')[0], await file.arrayBuffer());
+                    } catch (err) {
+                      console.error("Loading wake word failed:", err);
+                    }
+                  }}
+                />
+              </label>
+            )}
+          </div>
+
+          {/* Enrolled speakers, only they can wake Morti once there are any */}
+          <div className="flex flex-wrap items-center gap-1 mb-2">
+            {speakerProfiles.map(profile => (
+              <span key={profile.id} className="flex items-center gap-1 px-1.5 py-0.5 bg-brand-purple/10 text-[10px] rounded border border-brand-purple/30" title={`Threshold ${profile.threshold.toFixed(2)}`}>
+                {profile.name}
+                <button
+                  onClick={() => deleteProfile(profile.id)}
+                  className="hover:text-red-400 transition-colors"
+                  title={`Forget ${profile.name}`}
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+            {isMicActive && (
+              <button
+                onClick={() => {
+                  if (enrollment) {
+                    setEnrollment(null);
+                    return;
+                  }
+                  const name = window.prompt("Who is enrolling?");
+                  if (name) setEnrollment({ name, voicePrints: [] });
+                }}
+                className="px-1.5 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors"
+                title="Record the wake word a few times with push-to-talk to enroll a voice"
+              >
+                {enrollment ? 'CANCEL ENROLL' : '+ SPEAKER'}
+              </button>
+            )}
+          </div>
+
+          {/* Custom wake words trained here from push-to-talk recordings, loaded with the ONNX models */}
+          <div className="flex flex-wrap items-center gap-1 mb-2">
+            {trainedWakeWords.map(record => (
+              <span
+                key={record.id}
+                className="flex items-center gap-1 px-1.5 py-0.5 bg-brand-teal/10 text-[10px] rounded border border-brand-teal/30"
+                title={`Recall ${(record.metrics.recall * 100).toFixed(0)}%, false accepts ${(record.metrics.falseAcceptRate * 100).toFixed(1)}%${record.metrics.validated ? '' : ' (training data)'}`}
+              >
+                {record.name}
+                <button
+                  onClick={() => {
+                    deleteModel(record.id);
+                    if (wakeWordNames.includes(record.name)) {
+                      removeWakeWord(record.name).catch(e => console.error("Removing wake word failed:", e));
+                    }
+                  }}
+                  className="hover:text-red-400 transition-colors"
+                  title={`Delete ${record.name}`}
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+            {isMicActive && !training && (
+              <button
+                onClick={() => {
+                  const name = window.prompt("Name of the new wake word?");
+                  if (name) beginTraining(name);
+                }}
+                className="px-1.5 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors"
+                title="Record a few dozen samples of a phrase and some background audio with push-to-talk, then train a wake word on them"
+              >
+                + TRAIN
+              </button>
+            )}
+            {training && !training.training && (
+              <>
+                <button
+                  onClick={() => setTrainingMode(training.mode === 'positive' ? 'negative' : 'positive')}
+                  className="px-1.5 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors"
+                  title="Whether push-to-talk records the phrase or background audio"
+                >
+                  {training.mode === 'positive' ? 'RECORDING PHRASE' : 'RECORDING BACKGROUND'}
+                </button>
+                <button
+                  onClick={finishTraining}
+                  disabled={training.positives === 0 || training.negatives === 0}
+                  className="px-1.5 py-0.5 bg-brand-teal/20 hover:bg-brand-teal/30 disabled:opacity-30 text-[10px] rounded border border-brand-teal/30 transition-colors"
+                >
+                  TRAIN
+                </button>
+                <button
+                  onClick={cancelTraining}
+                  className="px-1.5 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors"
+                >
+                  CANCEL
+                </button>
+              </>
+            )}
+          </div>
+
+          {/* Detections turned down by Whisper verification or speaker matching, newest first */}
+          {rejections.length > 0 && (
+            <div className="flex flex-col gap-0.5 mb-2 max-h-[80px] overflow-y-auto text-[10px] font-mono text-white/50">
+              <div className="flex justify-between text-white/40">
+                <span>REJECTED ({rejections.length})</span>
+                <button onClick={clearRejections} className="hover:text-white/70">CLEAR</button>
+              </div>
+              {rejections.map((rejection) => (
+                <div key={rejection.id} className="truncate" title={`${new Date(rejection.time).toLocaleString()} ${JSON.stringify(rejection.probabilities)}`}>
+                  <span className="text-red-400">✕ {rejection.name}</span>{' '}
+                  p={rejection.probability.toFixed(2)}{' '}
+                  {rejection.reason === 'speaker'
+                    ? `unknown voice, closest ${rejection.speaker.name} (${(rejection.speaker.similarity * 100).toFixed(0)}%)`
+                    : <>heard "{rejection.transcript}"{rejection.similarity !== null && ` (${(rejection.similarity * 100).toFixed(0)}%)`}</>}
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className="flex flex-col gap-1.5 max-h-[150px] overflow-y-auto pr-1 scrollbar-thin scrollbar-thumb-white/10">
             {clips.length === 0 && (
               <p className="text-[10px] text-white/40 italic">No clips uploaded. Use UPLOAD WAV button above.</p>
@@ -401,6 +860,16 @@ function App() {
                 >
                   {clip.name}
                 </button>
+                <select
+                  value={clip.label || ''}
+                  onChange={(e) => setClipLabel(clip.id, e.target.value)}
+                  className="bg-white/5 text-[10px] rounded border border-white/10 px-1 py-0.5"
+                  title="Evaluation label"
+                >
+                  <option value="">unlabeled</option>
+                  <option value="negative">negative</option>
+                  {wakeWordNames.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
                 <button
                   onClick={() => deleteClip(clip.id)}
                   className="opacity-0 group-hover:opacity-100 p-1 hover:text-red-400 text-[10px] transition-all"
@@ -414,6 +883,14 @@ function App() {
         </div>
       </div>
 
+      <EvaluationPanel
+        evaluation={evaluation}
+        progress={evaluationProgress}
+        error={evaluationError}
+        onExportJSON={exportJSON}
+        onExportCSV={exportCSV}
+        onClose={clearEvaluation}
+      />
     </div>
   );
 }
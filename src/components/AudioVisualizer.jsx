@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Plot from 'react-plotly.js';
+import { describeDetectionState } from '../lib/detection.js';
 
 const COLORS = {
     "buddy": "rgb(0,119,187)",
@@ -13,10 +14,20 @@ const COLORS = {
     "frame budget": "rgb(25,255,25)"
 };
 
+// Bundled wake words, shown until the engine reports which models are loaded
 const WAKE_WORDS = ["buddy", "hey buddy", "hi buddy", "sup buddy", "yo buddy", "okay buddy", "hello buddy"];
+// Colors for wake words added at runtime
+const PALETTE = ["rgb(255,187,0)", "rgb(102,153,255)", "rgb(255,102,102)", "rgb(153,255,204)", "rgb(221,170,255)"];
 const MAX_HISTORY = 100;
 
-export const AudioVisualizer = ({ probabilities, active, frameBudget }) => {
+const wakeWordColor = (name, index) => COLORS[name] || PALETTE[index % PALETTE.length];
+
+export const AudioVisualizer = ({ probabilities, active, detectionStates, frameBudget }) => {
+    // Wake words come from the processed payload, so models added or removed at runtime show up
+    const reportedWakeWords = Object.keys(probabilities || {}).filter(name => name !== "speech");
+    const wakeWords = reportedWakeWords.length > 0 ? reportedWakeWords : WAKE_WORDS;
+    const wakeWordKey = wakeWords.join("|");
+
     // History state for all traces
     const [history, setHistory] = useState({
         "speech": new Array(MAX_HISTORY).fill(0),
@@ -26,7 +37,7 @@ export const AudioVisualizer = ({ probabilities, active, frameBudget }) => {
 
     useEffect(() => {
         setHistory(prev => {
-            const next = { ...prev };
+            const next = {};
             // Speech
             // If probabilities is null/undefined (not listening), we push 0 or random noise?
             // User wants "always show". If not running, maybe flatline.
@@ -36,14 +47,15 @@ export const AudioVisualizer = ({ probabilities, active, frameBudget }) => {
             // Frame Budget
             next["frame budget"] = [...prev["frame budget"].slice(1), (frameBudget || 0) / 120.0];
 
-            // Wake Words
-            WAKE_WORDS.forEach(w => {
+            // Wake Words, starting new ones flat and dropping removed ones
+            wakeWordKey.split("|").forEach(w => {
                 const prob = probabilities?.[w] || 0;
-                next[w] = [...prev[w].slice(1), prob];
+                const previous = prev[w] || new Array(MAX_HISTORY).fill(0);
+                next[w] = [...previous.slice(1), prob];
             });
             return next;
         });
-    }, [probabilities, frameBudget]);
+    }, [probabilities, frameBudget, wakeWordKey]);
 
     // Common layout config
     const layoutConfig = (title, height = 150) => ({
@@ -94,13 +106,25 @@ export const AudioVisualizer = ({ probabilities, active, frameBudget }) => {
                 <div className="absolute top-2 left-3 text-xs font-mono text-white/40 uppercase tracking-widest">Wake Word Detection</div>
                 <div className="w-full h-full absolute inset-0">
                     <Plot
-                        data={WAKE_WORDS.map(w => createTrace(w, history[w], active?.[w]))}
+                        data={wakeWords.filter(w => history[w]).map((w, i) => createTrace(w, history[w], active?.[w], wakeWordColor(w, i)))}
                         layout={{ ...layoutConfig('', 180), margin: { l: 0, r: 0, t: 0, b: 0 } }}
                         config={{ displayModeBar: false, staticPlot: true, responsive: true }}
                         style={{ width: "100%", height: "100%" }}
                         useResizeHandler={true}
                     />
                 </div>
+                {/* Detection strategy state per wake word, lit when it fires */}
+                <div className="absolute bottom-2 left-3 right-3 flex flex-wrap gap-x-3 gap-y-0.5 text-[10px] font-mono text-white/40 z-10">
+                    {wakeWords.map((w, i) => detectionStates?.[w] && (
+                        <span
+                            key={w}
+                            style={{ color: detectionStates[w].detected ? wakeWordColor(w, i) : undefined }}
+                            title={detectionStates[w].type}
+                        >
+                            {w}: {describeDetectionState(detectionStates[w])}
+                        </span>
+                    ))}
+                </div>
             </div>
 
             <div className="grid grid-cols-2 gap-4 h-1/3 min-h-[100px]">
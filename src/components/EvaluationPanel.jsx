@@ -0,0 +1,101 @@
+import React from 'react';
+import Plot from 'react-plotly.js';
+
+const formatRate = (value, digits = 2) => value === null || value === undefined ? '—' : value.toFixed(digits);
+
+export const EvaluationPanel = ({ evaluation, progress, error, onExportJSON, onExportCSV, onClose }) => {
+    if (!evaluation && !progress && !error) return null;
+
+    const models = evaluation ? Object.entries(evaluation.models) : [];
+
+    return (
+        <div className="absolute bottom-4 left-4 z-50 w-[560px] max-h-[70vh] overflow-y-auto bg-black/85 backdrop-blur text-white p-4 rounded-lg border border-white/10 shadow-xl scrollbar-thin scrollbar-thumb-white/10">
+            <div className="flex justify-between items-center mb-3">
+                <h4 className="text-xs font-bold text-brand-teal uppercase tracking-wider">Wake Word Evaluation</h4>
+                <div className="flex gap-2">
+                    {evaluation && (
+                        <>
+                            <button onClick={onExportJSON} className="px-2 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors">JSON</button>
+                            <button onClick={onExportCSV} className="px-2 py-0.5 bg-white/10 hover:bg-white/20 text-[10px] rounded border border-white/10 transition-colors">CSV</button>
+                        </>
+                    )}
+                    <button onClick={onClose} className="px-1 hover:text-red-400 text-[10px] transition-colors" title="Close">✕</button>
+                </div>
+            </div>
+
+            {error && <div className="text-red-500 text-xs font-mono mb-2">[ERROR] {error}</div>}
+
+            {progress && (
+                <div className="text-xs font-mono text-white/60 mb-2">
+                    Scanning clips... {progress.completed}/{progress.total} {progress.name ? `(${progress.name})` : ''}
+                </div>
+            )}
+
+            {evaluation && (
+                <>
+                    <div className="text-[10px] text-white/40 font-mono mb-2">
+                        {evaluation.clips.length} labeled clips • target ≤ {evaluation.targetFalseAcceptsPerHour} false accepts / hour
+                    </div>
+                    <table className="w-full text-[11px] font-mono mb-3">
+                        <thead>
+                            <tr className="text-white/40 text-left">
+                                <th className="font-normal">Model</th>
+                                <th className="font-normal">Threshold</th>
+                                <th className="font-normal">FRR</th>
+                                <th className="font-normal">FA / h</th>
+                                <th className="font-normal">Suggested</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {models.map(([name, model]) => (
+                                <tr key={name} className="border-t border-white/5">
+                                    <td className="py-1">{name}</td>
+                                    <td>{formatRate(model.current.threshold)}</td>
+                                    <td>{formatRate(model.current.falseRejectRate)}</td>
+                                    <td>{formatRate(model.current.falseAcceptsPerHour, 1)}</td>
+                                    <td className="text-brand-teal">{formatRate(model.recommendedThreshold)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {/* Threshold sweep: false-reject rate against false accepts per hour */}
+                    <Plot
+                        data={models.flatMap(([name, model]) => [
+                            {
+                                x: model.sweep.map(p => p.threshold),
+                                y: model.sweep.map(p => p.falseRejectRate),
+                                type: 'scatter',
+                                mode: 'lines',
+                                name: `${name} FRR`,
+                            },
+                            {
+                                x: model.sweep.map(p => p.threshold),
+                                y: model.sweep.map(p => p.falseAcceptsPerHour),
+                                type: 'scatter',
+                                mode: 'lines',
+                                line: { dash: 'dot' },
+                                yaxis: 'y2',
+                                name: `${name} FA/h`,
+                            },
+                        ])}
+                        layout={{
+                            height: 220,
+                            margin: { l: 40, r: 40, t: 10, b: 30 },
+                            paper_bgcolor: 'rgba(0,0,0,0)',
+                            plot_bgcolor: 'rgba(0,0,0,0)',
+                            font: { color: 'rgba(255,255,255,0.6)', size: 9, family: 'monospace' },
+                            xaxis: { title: { text: 'threshold' }, range: [0, 1], gridcolor: 'rgba(255,255,255,0.05)' },
+                            yaxis: { title: { text: 'FRR' }, range: [0, 1.05], gridcolor: 'rgba(255,255,255,0.05)' },
+                            yaxis2: { title: { text: 'FA / h' }, overlaying: 'y', side: 'right', showgrid: false },
+                            showlegend: false,
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        style={{ width: "100%" }}
+                        useResizeHandler={true}
+                    />
+                </>
+            )}
+        </div>
+    );
+};
@@ -7,9 +7,14 @@ import { Mutex } from '../lib/mutex';
 class AudioQueuePlayer {
     constructor(sampleRate = 24000) {
         this.ctx = new (window.AudioContext || window.webkitAudioContext)({ sampleRate });
+        // Everything played also goes here, the wake word engine cancels its echo from the microphone
+        this.reference = this.ctx.createMediaStreamDestination();
+        this.reference.channelCount = 1;
         this.nextStartTime = 0;
         this.isPlaying = false;
         this.onComplete = null;
+        this.sources = new Set();
+        this.waiting = [];
     }
 
     reset() {
@@ -27,6 +32,7 @@ class AudioQueuePlayer {
         const source = this.ctx.createBufferSource();
         source.buffer = buffer;
         source.connect(this.ctx.destination);
+        source.connect(this.reference);
 
         // Schedule
         // If nextStartTime is in the past, reset to now
@@ -38,9 +44,39 @@ class AudioQueuePlayer {
         this.nextStartTime += buffer.duration;
         this.isPlaying = true;
 
-        // Verify end? 
-        // We can't easily know when *sequence* ends without a specific signal.
-        // But for visualizer, we might just assume playing while queue not empty.
+        // The sequence ends when the last scheduled chunk has ended
+        this.sources.add(source);
+        source.onended = () => {
+            this.sources.delete(source);
+            if (this.sources.size === 0) this.finish();
+        };
+    }
+
+    // Resolves once everything scheduled so far has played, or playback was stopped
+    waitUntilDone() {
+        if (this.sources.size === 0) return Promise.resolve();
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    // Cuts playback off, e.g. when the user barges in
+    stop() {
+        for (const source of this.sources) {
+            source.onended = null;
+            try { source.stop(); } catch { /* not started yet */ }
+        }
+        this.sources.clear();
+        this.nextStartTime = this.ctx.currentTime;
+        this.finish();
+    }
+
+    get referenceStream() {
+        return this.reference.stream;
+    }
+
+    finish() {
+        this.isPlaying = false;
+        this.waiting.forEach(resolve => resolve());
+        this.waiting = [];
     }
 }
 
@@ -49,6 +85,8 @@ export const useAssistant = () => {
     const workerRef = useRef(null);
     const audioPlayerRef = useRef(null);
     const mutex = useRef(new Mutex());
+    // Set by interrupt(), the running turn stops at its next step
+    const interruptedRef = useRef(false);
 
     // State
     const [status, setStatus] = useState('idle'); // idle, listening, transcribing, thinking, speaking
@@ -59,6 +97,9 @@ export const useAssistant = () => {
     // Legacy support for progress API
     const [progress, setProgress] = useState({ stt: 0, llm: 0, tts: 0 });
 
+    // What the assistant plays, for echo cancellation; set once the player exists
+    const [referenceStream, setReferenceStream] = useState(null);
+
     const [conversation, setConversation] = useState([]);
     const [logs, setLogs] = useState([]);
 
@@ -215,8 +256,15 @@ export const useAssistant = () => {
     }, [addLog]);
 
     const processAudio = useCallback(async (audioData) => {
-        if (mutex.current.isLocked()) return;
+        // An interrupted turn is winding down, queue behind it instead of dropping the new command
+        if (mutex.current.isLocked() && !interruptedRef.current) return;
         await mutex.current.lock();
+        interruptedRef.current = false;
+
+        // Throws once the turn has been interrupted, so later steps are skipped
+        const checkInterrupted = () => {
+            if (interruptedRef.current) throw new Error('Interrupted');
+        };
 
         try {
             setStatus('transcribing');
@@ -278,6 +326,7 @@ export const useAssistant = () => {
             });
 
             const finalTranscript = await sttPromise;
+            checkInterrupted();
             if (!finalTranscript.trim()) throw new Error("No speech detected.");
 
             // Update Conversation
@@ -305,6 +354,7 @@ export const useAssistant = () => {
             });
 
             const finalReply = await chatPromise;
+            checkInterrupted();
             setConversation(prev => [...prev, { role: 'assistant', content: finalReply }]);
 
             // 4. TTS
@@ -315,7 +365,11 @@ export const useAssistant = () => {
                 const listener = (e) => {
                     const data = e.data;
                     if (data.status === 'audio_chunk') {
-                        if (!audioPlayerRef.current) audioPlayerRef.current = new AudioQueuePlayer(data.sampleRate);
+                        if (interruptedRef.current) return;
+                        if (!audioPlayerRef.current) {
+                            audioPlayerRef.current = new AudioQueuePlayer(data.sampleRate);
+                            setReferenceStream(audioPlayerRef.current.referenceStream);
+                        }
                         audioPlayerRef.current.scheduleChunk(data.audio);
                     } else if (data.status === 'complete' && !data.text) { // TTS complete
                         worker.removeEventListener('message', listener);
@@ -328,6 +382,9 @@ export const useAssistant = () => {
             });
 
             await ttsPromise;
+            // Synthesis finishes long before playback, stay 'speaking' until the answer has been heard
+            if (audioPlayerRef.current) await audioPlayerRef.current.waitUntilDone();
+            checkInterrupted();
 
             setTimeout(() => {
                 setStatus('idle');
@@ -336,6 +393,13 @@ export const useAssistant = () => {
             }, 1000);
 
         } catch (err) {
+            if (interruptedRef.current) {
+                // Not an error: the user cut in, and their new command is on its way
+                addLog('system', 'Interrupted.');
+                setStatus('idle');
+                mutex.current.unlock();
+                return;
+            }
             console.error(err);
             addLog('error', err.message || err);
             setStatus('error');
@@ -344,12 +408,24 @@ export const useAssistant = () => {
         }
     }, [conversation, addLog]);
 
+    // Barge-in: stop speaking and generating right away; returns whether there was a turn to interrupt
+    const interrupt = useCallback(() => {
+        if (!mutex.current.isLocked() || interruptedRef.current) return false;
+        interruptedRef.current = true;
+        if (audioPlayerRef.current) audioPlayerRef.current.stop();
+        if (workerRef.current) workerRef.current.postMessage({ action: 'interrupt' });
+        addLog('system', 'Barge-in, stopping...');
+        return true;
+    }, [addLog]);
+
     return {
         status,
         transcript,
         response,
         progress,
         processAudio,
+        interrupt,
+        referenceStream,
         logs
     };
 };
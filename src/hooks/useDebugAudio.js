@@ -1,69 +1,34 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useCallback } from 'react';
+import { useObjectStore } from './useObjectStore';
 
-const DB_NAME = 'DebugAudioDB';
-const STORE_NAME = 'clips';
-const DB_VERSION = 1;
+// We only need the metadata for the list
+const toClipInfo = (c) => ({ id: c.id, name: c.name, size: c.data.byteLength, label: c.label || null });
 
 export const useDebugAudio = () => {
-    const [clips, setClips] = useState([]);
-    const [db, setDb] = useState(null);
-
-    useEffect(() => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-        request.onupgradeneeded = (e) => {
-            const db = e.target.result;
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-            }
-        };
-        request.onsuccess = (e) => {
-            setDb(e.target.result);
-        };
-        request.onerror = (e) => console.error("IndexedDB error:", e);
-    }, []);
-
-    const refreshClips = useCallback(() => {
-        if (!db) return;
-        const transaction = db.transaction(STORE_NAME, 'readonly');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.getAll();
-        request.onsuccess = () => {
-            // We only need the metadata for the list
-            setClips(request.result.map(c => ({ id: c.id, name: c.name, size: c.data.byteLength })));
-        };
-    }, [db]);
-
-    useEffect(() => {
-        if (db) refreshClips();
-    }, [db, refreshClips]);
+    const { records: clips, write, read } = useObjectStore('DebugAudioDB', 'clips', toClipInfo);
 
     const addClip = async (file) => {
-        if (!db) return;
         const arrayBuffer = await file.arrayBuffer();
-        const transaction = db.transaction(STORE_NAME, 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        store.add({ name: file.name, data: arrayBuffer, type: file.type });
-        transaction.oncomplete = () => refreshClips();
+        write(store => store.add({ name: file.name, data: arrayBuffer, type: file.type }));
     };
 
     const deleteClip = (id) => {
-        if (!db) return;
-        const transaction = db.transaction(STORE_NAME, 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        store.delete(id);
-        transaction.oncomplete = () => refreshClips();
+        write(store => store.delete(id));
     };
 
-    const getClipData = (id) => {
-        return new Promise((resolve, reject) => {
-            if (!db) return reject("DB not initialized");
-            const transaction = db.transaction(STORE_NAME, 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
+    // Label is a wake word name, 'negative' for background audio, or null to leave the clip out of evaluations
+    const setClipLabel = (id, label) => {
+        write(store => {
             const request = store.get(id);
-            request.onsuccess = () => resolve(request.result.data);
-            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                store.put({ ...request.result, label: label || null });
+            };
         });
     };
 
-    return { clips, addClip, deleteClip, getClipData };
+    const getAllClips = useCallback(() => read(store => store.getAll()), [read]);
+
+    const getClipData = useCallback(async (id) => (await read(store => store.get(id))).data, [read]);
+
+    return { clips, addClip, deleteClip, getClipData, setClipLabel, getAllClips };
 };
@@ -0,0 +1,70 @@
+import { useState, useCallback } from 'react';
+import { evaluateWakeWords, evaluationToCSV } from '../lib/evaluation.js';
+
+const downloadText = (text, filename, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+export const useEvaluation = ({ getAllClips, getWakeWordInstance }) => {
+    const [evaluation, setEvaluation] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    const evaluate = useCallback(async (options = {}) => {
+        const instance = getWakeWordInstance();
+        if (!instance) {
+            setError("Activate the system first so the wake word models are loaded.");
+            return;
+        }
+        setError(null);
+        let audioContext = null;
+        try {
+            // Decode every labeled clip to mono samples
+            const records = (await getAllClips()).filter(c => c.label);
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const clips = [];
+            for (const record of records) {
+                const audioBuffer = await audioContext.decodeAudioData(record.data.slice(0));
+                clips.push({
+                    name: record.name,
+                    label: record.label,
+                    audio: audioBuffer.getChannelData(0),
+                    sampleRate: audioBuffer.sampleRate,
+                });
+            }
+
+            setProgress({ completed: 0, total: clips.length });
+            const result = await evaluateWakeWords(instance, clips, {
+                ...options,
+                onProgress: (completed, total, name) => setProgress({ completed, total, name }),
+            });
+            setEvaluation(result);
+        } catch (err) {
+            console.error("Evaluation failed:", err);
+            setError(err.message || String(err));
+        } finally {
+            if (audioContext) audioContext.close();
+            setProgress(null);
+        }
+    }, [getAllClips, getWakeWordInstance]);
+
+    const exportJSON = useCallback(() => {
+        if (evaluation) downloadText(JSON.stringify(evaluation, null, 2), 'wake-word-evaluation.json', 'application/json');
+    }, [evaluation]);
+
+    const exportCSV = useCallback(() => {
+        if (evaluation) downloadText(evaluationToCSV(evaluation), 'wake-word-evaluation.csv', 'text/csv');
+    }, [evaluation]);
+
+    const clear = useCallback(() => {
+        setEvaluation(null);
+        setError(null);
+    }, []);
+
+    return { evaluation, progress, error, evaluate, exportJSON, exportCSV, clear };
+};
@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Versions and object stores of the app's IndexedDB databases; a new store needs a new version
+const DATABASES = {
+    DebugAudioDB: { version: 2, stores: ['clips', 'rejections'] },
+    SpeakerProfilesDB: { version: 1, stores: ['profiles'] },
+    TrainedWakeWordsDB: { version: 1, stores: ['models'] },
+};
+
+// One IndexedDB object store with auto-incremented ids, and its records as state.
+// mapRecord, if given, must keep its identity between renders, e.g. a module level function
+export const useObjectStore = (dbName, storeName, mapRecord = null) => {
+    const [records, setRecords] = useState([]);
+    const [db, setDb] = useState(null);
+
+    useEffect(() => {
+        const { version, stores } = DATABASES[dbName];
+        const request = indexedDB.open(dbName, version);
+        request.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            for (const name of stores) {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+                }
+            }
+        };
+        request.onsuccess = (e) => {
+            setDb(e.target.result);
+        };
+        request.onerror = (e) => console.error("IndexedDB error:", e);
+    }, [dbName]);
+
+    const refresh = useCallback(() => {
+        if (!db) return;
+        const transaction = db.transaction(storeName, 'readonly');
+        const store = transaction.objectStore(storeName);
+        const request = store.getAll();
+        request.onsuccess = () => {
+            setRecords(mapRecord ? request.result.map(mapRecord) : request.result);
+        };
+    }, [db, storeName, mapRecord]);
+
+    useEffect(() => {
+        if (db) refresh();
+    }, [db, refresh]);
+
+    // Changes the store in one transaction, the records are read again once it completes
+    const write = useCallback((callback) => {
+        if (!db) return;
+        const transaction = db.transaction(storeName, 'readwrite');
+        callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => refresh();
+    }, [db, storeName, refresh]);
+
+    // Resolves with the result of the request the callback makes, e.g. store => store.get(id)
+    const read = useCallback((callback) => {
+        return new Promise((resolve, reject) => {
+            if (!db) return reject("DB not initialized");
+            const transaction = db.transaction(storeName, 'readonly');
+            const request = callback(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }, [db, storeName]);
+
+    return { records, write, read };
+};
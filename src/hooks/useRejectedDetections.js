@@ -0,0 +1,36 @@
+import { useCallback } from 'react';
+import { useObjectStore } from './useObjectStore';
+
+// Older rejections are dropped once there are more than this many
+const MAX_REJECTIONS = 200;
+
+// Newest first; the id IndexedDB assigns keys the list
+const byNewest = (a, b) => b.id - a.id;
+
+// Detections turned down by Whisper verification or speaker matching, kept in IndexedDB next to
+// the debug clips so false triggers can be reviewed later
+export const useRejectedDetections = () => {
+    const { records, write } = useObjectStore('DebugAudioDB', 'rejections');
+    const rejections = [...records].sort(byNewest);
+
+    // Takes a `rejected` event, see HeyBuddy
+    const addRejection = useCallback((rejection) => {
+        write(store => {
+            store.add({ ...rejection, time: Date.now() });
+            const request = store.getAllKeys();
+            request.onsuccess = () => {
+                request.result.slice(0, Math.max(0, request.result.length - MAX_REJECTIONS)).forEach(id => store.delete(id));
+            };
+        });
+    }, [write]);
+
+    const deleteRejection = useCallback((id) => {
+        write(store => store.delete(id));
+    }, [write]);
+
+    const clearRejections = useCallback(() => {
+        write(store => store.clear());
+    }, [write]);
+
+    return { rejections, addRejection, deleteRejection, clearRejections };
+};
@@ -0,0 +1,33 @@
+import { useCallback } from 'react';
+import { useObjectStore } from './useObjectStore';
+import { createVoicePrint, DEFAULT_SPEAKER_THRESHOLD } from '../lib/speaker.js';
+
+// Enrollment utterances vary, keep the threshold this far below the least typical one
+const THRESHOLD_MARGIN = 0.05;
+
+// Voice prints of the people allowed to wake Morti, kept in IndexedDB
+export const useSpeakerProfiles = () => {
+    const { records: profiles, write } = useObjectStore('SpeakerProfilesDB', 'profiles');
+
+    // Enrolls a speaker from the voice prints of a few utterances, see HeyBuddy.computeVoicePrint
+    const addProfile = useCallback((name, voicePrints) => {
+        const { voicePrint, consistency } = createVoicePrint(voicePrints);
+        const threshold = Math.min(DEFAULT_SPEAKER_THRESHOLD, consistency - THRESHOLD_MARGIN);
+        write(store => store.add({ name, voicePrint, threshold, consistency, utterances: voicePrints.length, createdAt: Date.now() }));
+    }, [write]);
+
+    const deleteProfile = useCallback((id) => {
+        write(store => store.delete(id));
+    }, [write]);
+
+    const setProfileThreshold = useCallback((id, threshold) => {
+        write(store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                store.put({ ...request.result, threshold });
+            };
+        });
+    }, [write]);
+
+    return { profiles, addProfile, deleteProfile, setProfileThreshold };
+};
@@ -0,0 +1,24 @@
+import { useCallback } from 'react';
+import { useObjectStore } from './useObjectStore';
+
+// Custom wake words trained in the browser with WakeWordTrainer, kept in IndexedDB
+export const useTrainedWakeWords = () => {
+    const { records: models, write } = useObjectStore('TrainedWakeWordsDB', 'models');
+
+    // Keeps a classifier head under the name it is loaded as, replacing an older one of that name
+    const saveModel = useCallback((name, model, metrics) => {
+        write(store => {
+            const request = store.getAll();
+            request.onsuccess = () => {
+                request.result.filter(record => record.name === name).forEach(record => store.delete(record.id));
+                store.add({ name, model, metrics, createdAt: Date.now() });
+            };
+        });
+    }, [write]);
+
+    const deleteModel = useCallback((id) => {
+        write(store => store.delete(id));
+    }, [write]);
+
+    return { models, saveModel, deleteModel };
+};
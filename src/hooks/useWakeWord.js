@@ -1,42 +1,151 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import { HeyBuddy } from '../lib/hey-buddy.js';
+import { RemoteHeyBuddy } from '../lib/remote-hey-buddy.js';
+import { WakeWordVerifier } from '../lib/verification.js';
+import { resample } from '../lib/resampler.js';
+import { listAudioInputs } from '../lib/audio.js';
+import AiWorker from '../lib/workers/ai.worker.js?worker';
 
 const REMOTE_ROOT = "https://huggingface.co/benjamin-paine/hey-buddy/resolve/main";
 
+// Bundled wake word models, named after their file in /models
+export const DEFAULT_WAKE_WORDS = ["hey-buddy", "buddy", "hi-buddy", "sup-buddy", "yo-buddy", "okay-buddy", "hello-buddy"];
+
+// A push-to-talk press shorter than this latches: recording goes on until the next press
+const PUSH_TO_TALK_TAP_MS = 300;
+
+// Keys typed into form fields are not push-to-talk
+const isTypingTarget = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName) || target?.isContentEditable;
+
+// Transcribes detection windows with a small Whisper model, in an AI worker of its own
+// so verifying never waits for the assistant's pipeline
+const createVerifierTranscriber = () => {
+    const worker = new AiWorker();
+    const pending = new Map();
+    let nextId = 0;
+
+    worker.addEventListener('message', (e) => {
+        const { status, id } = e.data;
+        const request = pending.get(id);
+        if (!request) return;
+        if (status === 'verified') {
+            pending.delete(id);
+            request.resolve(e.data.text);
+        } else if (status === 'error') {
+            pending.delete(id);
+            request.reject(new Error(e.data.error));
+        }
+    });
+
+    const transcribe = (audio, sampleRate) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        // Whisper expects 16 kHz
+        worker.postMessage({ action: 'verify', data: { id, audio: resample(audio, sampleRate, 16000) } });
+    });
+
+    const terminate = () => {
+        worker.terminate();
+        pending.forEach(({ reject }) => reject(new Error("Verifier stopped")));
+        pending.clear();
+    };
+
+    return { transcribe, terminate };
+};
+
 export const useWakeWord = (options = {}) => {
     const [isRecording, setIsRecording] = useState(false);
     const [isListening, setIsListening] = useState(false);
     const [isMicActive, setIsMicActive] = useState(false);
     const [probabilities, setProbabilities] = useState({});
     const [activeDebug, setActiveDebug] = useState({});
+    const [detectionStates, setDetectionStates] = useState({});
     const [frameBudget, setFrameBudget] = useState(0);
+    const [wakeWordLatencies, setWakeWordLatencies] = useState({});
     const [error, setError] = useState(null);
+    const [isReady, setIsReady] = useState(false);
+    const [wakeWordNames, setWakeWordNames] = useState(DEFAULT_WAKE_WORDS);
+    const [isFollowUp, setIsFollowUp] = useState(false);
+    const [isPushToTalk, setIsPushToTalk] = useState(false);
+    const [echoMetrics, setEchoMetrics] = useState(null);
+    const [noiseFloor, setNoiseFloor] = useState(null);
+    // Pipeline telemetry, refreshed every few seconds, see HeyBuddy.getStats
+    const [stats, setStats] = useState(null);
+    // Whether the Whisper verifier is attached, it can be turned on and off while running
+    const [isVerifying, setIsVerifying] = useState(false);
+    // Microphones to choose from, and the one captured, see HeyBuddy.getAudioDevice
+    const [audioDevices, setAudioDevices] = useState([]);
+    const [audioDevice, setAudioDeviceInfo] = useState(null);
 
     const heyBuddyRef = useRef(null);
+    // Functions that remove the listeners added to the instance
+    const unsubscribeRef = useRef([]);
+    const verifierRef = useRef(null);
+    // When the push-to-talk button or key went down, whether a tap latched it,
+    // and whether it was let go while push-to-talk was still starting
+    const pushToTalkRef = useRef({ pressedAt: null, latched: false, starting: false, released: false });
+
+    // Shut the engine down, turning the microphone off
+    const dispose = useCallback(async () => {
+        unsubscribeRef.current.forEach(unsubscribe => unsubscribe());
+        unsubscribeRef.current = [];
+        if (verifierRef.current) {
+            verifierRef.current.detach();
+            verifierRef.current.terminate();
+            verifierRef.current = null;
+        }
+        setIsVerifying(false);
+        const instance = heyBuddyRef.current;
+        heyBuddyRef.current = null;
+        setIsMicActive(false);
+        setIsListening(false);
+        setIsRecording(false);
+        setIsFollowUp(false);
+        setIsPushToTalk(false);
+        setIsReady(false);
+        setAudioDeviceInfo(null);
+        if (instance) {
+            await instance.dispose();
+        }
+    }, []);
+
+    // Also on unmount and hot reload
+    useEffect(() => {
+        return () => {
+            dispose();
+        };
+    }, [dispose]);
 
     const start = useCallback(async () => {
         try {
             if (!heyBuddyRef.current) {
-                // Request microphone permission first
-                await navigator.mediaDevices.getUserMedia({ audio: true });
+                // HeyBuddy requests the microphone itself, a denied permission arrives as an error event and fails start
+                // Run inference in a worker unless asked not to, so a busy page cannot stall it
+                const useWorker = options.useWorker ?? typeof Worker !== 'undefined';
+                const Engine = useWorker ? RemoteHeyBuddy : HeyBuddy;
 
                 // Initialize HeyBuddy with mixed local/remote models
-                const instance = new HeyBuddy({
+                const instance = new Engine({
                     ...options,
                     // Use local wake word models
-                    modelPath: options.modelPath || ["hey-buddy", "buddy", "hi-buddy", "sup-buddy", "yo-buddy", "okay-buddy", "hello-buddy"].map(w => `/models/${w}.onnx`),
+                    modelPath: options.modelPath || DEFAULT_WAKE_WORDS.map(w => `/models/${w}.onnx`),
                     // Use remote pretrained models for VAD/Spectrogram/Embedding
                     vadModelPath: options.vadModelPath || `${REMOTE_ROOT}/pretrained/silero-vad.onnx`,
                     spectrogramModelPath: options.spectrogramModelPath || `${REMOTE_ROOT}/pretrained/mel-spectrogram.onnx`,
                     embeddingModelPath: options.embeddingModelPath || `${REMOTE_ROOT}/pretrained/speech-embedding.onnx`,
-                    // Tweak VAD to be less aggressive (wait longer for speaker)
-                    positiveVadThreshold: 0.8,
-                    negativeVadThreshold: 0.4,
-                    negativeVadCount: 15, // Wait longer for silence
+                    // Tweak VAD to be less aggressive (wait longer for speaker), until calibration replaces these
+                    positiveVadThreshold: options.positiveVadThreshold ?? 0.8,
+                    negativeVadThreshold: options.negativeVadThreshold ?? 0.4,
+                    negativeVadCount: options.negativeVadCount ?? 15, // Wait longer for silence
+                    // Fit the thresholds to the room's noise on the first seconds, then keep adapting while idle
+                    calibration: options.calibration ?? true,
+                    // Turned on below once a verifier listens, detections would wait for nothing before that
+                    verifyWakeWords: false,
                 });
 
-                // Set up callback
-                instance.onProcessed((result) => {
+                // Set up listeners
+                const unsubscribe = unsubscribeRef.current;
+                unsubscribe.push(instance.onProcessed((result) => {
                     setIsListening(result.listening);
                     setIsRecording(result.recording);
 
@@ -46,6 +155,8 @@ export const useWakeWord = (options = {}) => {
                     const active = {
                         speech: result.speech.active,
                     }
+                    // Why each wake word fired or not, see detection.js
+                    const states = {};
 
                     if (result.wakeWords) {
                         for (let name in result.wakeWords) {
@@ -53,21 +164,113 @@ export const useWakeWord = (options = {}) => {
                             const cleanName = name.replace('-', ' ');
                             probs[cleanName] = result.wakeWords[name].probability || 0.0;
                             active[cleanName] = result.wakeWords[name].active;
+                            if (result.wakeWords[name].strategy) {
+                                states[cleanName] = result.wakeWords[name].strategy;
+                            }
                         }
                     }
 
                     setProbabilities(probs);
                     setActiveDebug(active);
+                    setDetectionStates(states);
                     setFrameBudget(instance.frameTimeEma);
-                });
+                    setEchoMetrics(result.echo || null);
+                    setNoiseFloor(result.noise || null);
+
+                    // Per model inference time in ms, only measured while listening
+                    if (result.listening) {
+                        const latencies = {};
+                        for (let name in result.wakeWords) {
+                            if (result.wakeWords[name].latency !== undefined) {
+                                latencies[name] = result.wakeWords[name].latency;
+                            }
+                        }
+                        setWakeWordLatencies(latencies);
+                    }
+                }));
+
+                unsubscribe.push(instance.on('detected', (detection) => {
+                    if (options.onDetected) {
+                        options.onDetected(detection);
+                    }
+                }));
 
-                instance.onRecording((buffer) => {
+                unsubscribe.push(instance.onRecording((buffer) => {
                     if (options.onRecordingComplete) {
                         options.onRecordingComplete(buffer);
                     }
-                });
+                }));
+
+                unsubscribe.push(instance.onRecordingTimeout((info) => {
+                    if (options.onRecordingTimeout) {
+                        options.onRecordingTimeout(info);
+                    }
+                }));
+
+                unsubscribe.push(instance.onRecordingAborted((info) => {
+                    if (options.onRecordingAborted) {
+                        options.onRecordingAborted(info);
+                    }
+                }));
+
+                // Turned down by verification, or spoken by someone who is not enrolled;
+                // keep them with onWakeWordRejected, e.g. useRejectedDetections
+                unsubscribe.push(instance.onRejected((rejection) => {
+                    if (options.debug) {
+                        console.log(`Rejected wake word "${rejection.name}" (p=${rejection.probability.toFixed(3)}):`, rejection);
+                    }
+                    if (options.onWakeWordRejected) {
+                        options.onWakeWordRejected(rejection);
+                    }
+                }));
+
+                unsubscribe.push(instance.onFollowUpStart(() => setIsFollowUp(true)));
+                unsubscribe.push(instance.onFollowUpEnd((info) => {
+                    setIsFollowUp(false);
+                    if (options.onFollowUpEnd) {
+                        options.onFollowUpEnd(info);
+                    }
+                }));
+
+                unsubscribe.push(instance.onPushToTalkStart(() => setIsPushToTalk(true)));
+                unsubscribe.push(instance.onPushToTalkEnd(() => {
+                    // Also when the recording ended on its own, e.g. at the length limit
+                    pushToTalkRef.current = { pressedAt: null, latched: false, starting: false, released: false };
+                    setIsPushToTalk(false);
+                }));
+
+                unsubscribe.push(instance.onStats(setStats));
+
+                // Opened, chosen or followed after a headset was plugged in or out; labels show once permitted
+                unsubscribe.push(instance.onDevice((device) => {
+                    setAudioDeviceInfo(device);
+                    listAudioInputs().then(setAudioDevices).catch(() => {});
+                }));
+
+                unsubscribe.push(instance.onReady(() => {
+                    setIsReady(true);
+                    setWakeWordNames(instance.wakeWordNames);
+                }));
+
+                unsubscribe.push(instance.onError((err) => {
+                    console.error("HeyBuddy error:", err);
+                    setError(err.message || "Wake word engine error.");
+                }));
 
                 heyBuddyRef.current = instance;
+                // The microphone is only active once its stream is open
+                try {
+                    await instance.starting;
+                } catch (err) {
+                    if (heyBuddyRef.current === instance) {
+                        await dispose();
+                    }
+                    throw err;
+                }
+                if (heyBuddyRef.current !== instance) {
+                    // Stopped while the microphone was opening
+                    return;
+                }
                 setIsMicActive(true);
             }
 
@@ -79,7 +282,7 @@ export const useWakeWord = (options = {}) => {
             console.error("Failed to start HeyBuddy:", err);
             setError(err.message || "Microphone access denied or initialization failed.");
         }
-    }, [options]);
+    }, [options, dispose]);
 
     const resumeListening = useCallback(() => {
         if (heyBuddyRef.current) {
@@ -93,16 +296,333 @@ export const useWakeWord = (options = {}) => {
         }
     }, []);
 
+    const getInstance = useCallback(() => heyBuddyRef.current, []);
+
+    // Let the next speech through without the wake word, e.g. after the assistant answered
+    const openFollowUp = useCallback((seconds) => {
+        if (heyBuddyRef.current) {
+            heyBuddyRef.current.openFollowUp(seconds);
+        }
+    }, []);
+
+    const closeFollowUp = useCallback(() => {
+        if (heyBuddyRef.current) {
+            heyBuddyRef.current.closeFollowUp();
+        }
+    }, []);
+
+    // While the assistant speaks, detection keeps running with raised thresholds so the user can barge in
+    const setAssistantSpeaking = useCallback((speaking) => {
+        if (heyBuddyRef.current) {
+            heyBuddyRef.current.setAssistantSpeaking(speaking);
+        }
+    }, []);
+
+    // Cancel the echo of what the assistant plays, e.g. referenceStream from useAssistant;
+    // the player appears after the engine has started, so this also applies later
+    const referenceStream = options.referenceStream;
+    useEffect(() => {
+        const instance = heyBuddyRef.current;
+        if (instance) {
+            // Throws here for a source that is not a MediaStream, rejects through RemoteHeyBuddy
+            Promise.resolve()
+                .then(() => instance.setReferenceStream(referenceStream || null))
+                .catch((err) => {
+                    console.error("Failed to set the reference stream:", err);
+                    setError(err.message || "Echo cancellation could not use the assistant's audio.");
+                });
+        }
+    }, [referenceStream]);
+
+    // Second stage, off unless asked for: only accept detections whose transcript sounds like the wake word.
+    // Whisper is only downloaded once this is on, in an AI worker of its own
+    const verifyWakeWords = !!options.verifyWakeWords;
+    const verificationMinSimilarity = options.verificationMinSimilarity;
+    const debug = options.debug;
+    useEffect(() => {
+        const instance = heyBuddyRef.current;
+        if (!instance || !isMicActive || verifyWakeWords === !!verifierRef.current) {
+            return;
+        }
+        if (verifyWakeWords) {
+            const verifier = createVerifierTranscriber();
+            // Load the model now rather than on the first detection
+            verifier.transcribe(new Float32Array(16000), 16000).catch(() => { });
+            verifier.detach = new WakeWordVerifier(instance, verifier.transcribe, {
+                minSimilarity: verificationMinSimilarity,
+                debug,
+            }).attach();
+            verifierRef.current = verifier;
+        } else {
+            verifierRef.current.detach();
+            verifierRef.current.terminate();
+            verifierRef.current = null;
+        }
+        Promise.resolve()
+            .then(() => instance.setVerifyWakeWords(verifyWakeWords))
+            .then(() => setIsVerifying(verifyWakeWords))
+            .catch((err) => {
+                console.error("Failed to change wake word verification:", err);
+                setError(err.message || "Wake word verification could not be changed.");
+            });
+    }, [verifyWakeWords, verificationMinSimilarity, debug, isMicActive]);
+
+    // Only these speakers can wake the engine, e.g. profiles from useSpeakerProfiles; none lets anyone in
+    const speakerProfiles = options.speakerProfiles;
+    useEffect(() => {
+        const instance = heyBuddyRef.current;
+        if (instance) {
+            // E.g. a voice print of the wrong length, from an older embedding model
+            Promise.resolve()
+                .then(() => instance.setSpeakerProfiles(speakerProfiles || []))
+                .catch((err) => {
+                    console.error("Failed to set the speaker profiles:", err);
+                    setError(err.message || "Speaker profiles could not be used.");
+                });
+        }
+    }, [speakerProfiles]);
+
+    // Voice print of a recording for enrollment, e.g. of the wake word recorded with push-to-talk
+    const computeVoicePrint = useCallback(async (audio, sampleRate) => {
+        if (!heyBuddyRef.current) {
+            throw new Error("Wake word engine is not running");
+        }
+        return await heyBuddyRef.current.computeVoicePrint(audio, sampleRate);
+    }, []);
+
+    // Wake word model inputs of a recording, for training a custom wake word with WakeWordTrainer
+    const extractFeatures = useCallback(async (audio, sampleRate) => {
+        if (!heyBuddyRef.current) {
+            throw new Error("Wake word engine is not running");
+        }
+        return await heyBuddyRef.current.extractFeatures(audio, sampleRate);
+    }, []);
+
+    // Listen to the room for a few seconds and fit the thresholds to its noise, e.g. after moving to a car
+    const calibrate = useCallback(async (seconds) => {
+        if (!heyBuddyRef.current) {
+            throw new Error("Wake word engine is not running");
+        }
+        return await heyBuddyRef.current.calibrate(seconds);
+    }, []);
+
+    const setEchoCancellation = useCallback((enabled) => {
+        if (heyBuddyRef.current) {
+            heyBuddyRef.current.setEchoCancellation(enabled);
+        }
+    }, []);
+
+    // Keep the list of microphones current, HeyBuddy follows the changes on its own
+    useEffect(() => {
+        const mediaDevices = typeof navigator !== 'undefined' ? navigator.mediaDevices : null;
+        if (!mediaDevices || !mediaDevices.addEventListener) {
+            return;
+        }
+        const refresh = () => listAudioInputs().then(setAudioDevices).catch(() => {});
+        refresh();
+        mediaDevices.addEventListener('devicechange', refresh);
+        return () => mediaDevices.removeEventListener('devicechange', refresh);
+    }, []);
+
+    // Capture another microphone, null for the default one; the engine keeps running
+    const setAudioDevice = useCallback(async (deviceId) => {
+        if (heyBuddyRef.current) {
+            return heyBuddyRef.current.setAudioDevice(deviceId);
+        }
+        return null;
+    }, []);
+
+    // Turn the browser's echoCancellation, autoGainControl or noiseSuppression on or off
+    const setAudioConstraints = useCallback(async (constraints) => {
+        if (heyBuddyRef.current) {
+            return heyBuddyRef.current.setAudioConstraints(constraints);
+        }
+        return null;
+    }, []);
+
+    // Capture a sweep instead of the microphone to check resampling does not alias,
+    // returns the aliasing measured at the capture rate
+    const setTestSignal = useCallback((enabled) => {
+        if (heyBuddyRef.current) {
+            return heyBuddyRef.current.setTestSignal(enabled);
+        }
+        return null;
+    }, []);
+
+    // Record without the wake word; the recording goes to onRecordingComplete like any other.
+    // Resolves with whether it started, not while paused or disposed
+    const startPushToTalk = useCallback(async () => {
+        if (!heyBuddyRef.current) {
+            return false;
+        }
+        return await heyBuddyRef.current.startPushToTalk();
+    }, []);
+
+    const stopPushToTalk = useCallback(() => {
+        pushToTalkRef.current = { pressedAt: null, latched: false, starting: false, released: false };
+        if (heyBuddyRef.current) {
+            heyBuddyRef.current.stopPushToTalk();
+        }
+    }, []);
+
+    const togglePushToTalk = useCallback(() => {
+        if (heyBuddyRef.current?.pushToTalk) {
+            stopPushToTalk();
+        } else {
+            startPushToTalk().catch(err => console.error("Push-to-talk failed to start:", err));
+        }
+    }, [startPushToTalk, stopPushToTalk]);
+
+    // A short press latches, a long one sends
+    const endPress = useCallback((pressedAt) => {
+        if (Date.now() - pressedAt < PUSH_TO_TALK_TAP_MS) {
+            pushToTalkRef.current.latched = true;
+            return;
+        }
+        stopPushToTalk();
+    }, [stopPushToTalk]);
+
+    // For a button or key: hold to talk, or tap to start and tap again to send
+    const pressPushToTalk = useCallback(async () => {
+        const state = pushToTalkRef.current;
+        if (state.pressedAt !== null || state.starting) return;
+        if (state.latched) {
+            stopPushToTalk();
+            return;
+        }
+        const pressedAt = Date.now();
+        state.starting = true;
+        let started = false;
+        try {
+            // The worker engine answers asynchronously
+            started = await startPushToTalk();
+        } catch (err) {
+            console.error("Push-to-talk failed to start:", err);
+        }
+        state.starting = false;
+        // Not started, or already ended and reset while starting
+        if (!started || pushToTalkRef.current !== state) return;
+        if (state.released) {
+            // Let go before it started
+            state.released = false;
+            endPress(pressedAt);
+            return;
+        }
+        state.pressedAt = pressedAt;
+    }, [startPushToTalk, stopPushToTalk, endPress]);
+
+    const releasePushToTalk = useCallback(() => {
+        const state = pushToTalkRef.current;
+        if (state.starting) {
+            state.released = true;
+            return;
+        }
+        if (state.pressedAt === null) return;
+        const pressedAt = state.pressedAt;
+        state.pressedAt = null;
+        endPress(pressedAt);
+    }, [endPress]);
+
+    // Hotkey, e.g. pushToTalkKey: 'Space' (a KeyboardEvent.code)
+    const pushToTalkKey = options.pushToTalkKey;
+    useEffect(() => {
+        if (!pushToTalkKey) return;
+        const onKeyDown = (e) => {
+            if (e.code !== pushToTalkKey || isTypingTarget(e.target)) return;
+            e.preventDefault();
+            if (!e.repeat) pressPushToTalk();
+        };
+        const onKeyUp = (e) => {
+            if (e.code !== pushToTalkKey || isTypingTarget(e.target)) return;
+            e.preventDefault();
+            releasePushToTalk();
+        };
+        // The key up is never seen once the window loses focus
+        const onBlur = () => releasePushToTalk();
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+        window.addEventListener('blur', onBlur);
+        return () => {
+            window.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('keyup', onKeyUp);
+            window.removeEventListener('blur', onBlur);
+        };
+    }, [pushToTalkKey, pressPushToTalk, releasePushToTalk]);
+
+    // Per wake word threshold / cooldown / enabled, e.g. setWakeWordOptions("yo-buddy", { enabled: false })
+    const setWakeWordOptions = useCallback((name, wakeWordOptions) => {
+        if (heyBuddyRef.current) {
+            return heyBuddyRef.current.setWakeWordOptions(name, wakeWordOptions);
+        }
+    }, []);
+
+    const getWakeWordOptions = useCallback((name) => {
+        if (heyBuddyRef.current) {
+            return heyBuddyRef.current.getWakeWordOptions(name);
+        }
+    }, []);
+
+    // Load a wake word model (URL, ArrayBuffer or trained head) without restarting the microphone
+    const addWakeWord = useCallback(async (name, model, wakeWordOptions) => {
+        if (!heyBuddyRef.current) {
+            throw new Error("Wake word engine is not running");
+        }
+        const result = await heyBuddyRef.current.addWakeWord(name, model, wakeWordOptions);
+        setWakeWordNames(heyBuddyRef.current.wakeWordNames);
+        return result;
+    }, []);
+
+    const removeWakeWord = useCallback(async (name) => {
+        if (!heyBuddyRef.current) {
+            throw new Error("Wake word engine is not running");
+        }
+        await heyBuddyRef.current.removeWakeWord(name);
+        setWakeWordNames(heyBuddyRef.current.wakeWordNames);
+    }, []);
+
     return {
         start,
+        dispose,
+        getInstance,
+        openFollowUp,
+        closeFollowUp,
+        setAssistantSpeaking,
+        setEchoCancellation,
+        setTestSignal,
+        setAudioDevice,
+        setAudioConstraints,
+        calibrate,
+        computeVoicePrint,
+        extractFeatures,
+        startPushToTalk,
+        stopPushToTalk,
+        togglePushToTalk,
+        pressPushToTalk,
+        releasePushToTalk,
+        setWakeWordOptions,
+        getWakeWordOptions,
+        addWakeWord,
+        removeWakeWord,
+        wakeWordNames,
         stopListening,
         resumeListening,
         isListening,
         isRecording,
+        isFollowUp,
+        isPushToTalk,
         probabilities,
         active: activeDebug,
+        detectionStates,
         frameBudget,
+        wakeWordLatencies,
+        isVerifying,
+        echoMetrics,
+        noiseFloor,
+        stats,
+        audioDevices,
+        audioDevice,
         error,
+        isReady,
         isMicActive
     };
 };
@@ -0,0 +1,89 @@
+import { useState, useRef, useCallback } from 'react';
+import { WakeWordTrainer } from '../lib/wake-word-trainer.js';
+import { DEFAULT_WAKE_WORDS } from './useWakeWord';
+
+// Wake word names compare without case, spaces or hyphens, as "hey buddy" is shown for "hey-buddy"
+const normalizeName = (name) => name.trim().toLowerCase().replace(/[\s_-]+/g, '-');
+
+// A training session for a custom wake word: push-to-talk recordings of the phrase or of
+// background audio, then a classifier head trained on them in the page.
+// reservedNames are the bundled models, a trained head cannot take their place
+export const useWakeWordTrainer = ({ getWakeWordInstance, reservedNames = DEFAULT_WAKE_WORDS }) => {
+    // { name, mode: 'positive' | 'negative', positives, negatives, training, epoch, epochs }
+    const [session, setSession] = useState(null);
+    const [error, setError] = useState(null);
+    const trainerRef = useRef(null);
+    const nameRef = useRef(null);
+    const modeRef = useRef('positive');
+
+    const begin = useCallback((name) => {
+        const instance = getWakeWordInstance();
+        if (!instance) {
+            setError("Activate the system first so the wake word models are loaded.");
+            return;
+        }
+        if (reservedNames.some(reserved => normalizeName(reserved) === normalizeName(name))) {
+            setError(`"${name}" is a bundled wake word, choose another name.`);
+            return;
+        }
+        setError(null);
+        trainerRef.current = new WakeWordTrainer(instance);
+        nameRef.current = name;
+        modeRef.current = 'positive';
+        setSession({ name, mode: 'positive', positives: 0, negatives: 0, training: false, epoch: 0, epochs: trainerRef.current.epochs });
+    }, [getWakeWordInstance, reservedNames]);
+
+    const cancel = useCallback(() => {
+        trainerRef.current = null;
+        setSession(null);
+    }, []);
+
+    // Whether the next recordings are the wake word or background audio
+    const setMode = useCallback((mode) => {
+        modeRef.current = mode;
+        setSession(prev => prev && { ...prev, mode });
+    }, []);
+
+    const addRecording = useCallback(async (audio, sampleRate) => {
+        const trainer = trainerRef.current;
+        if (!trainer) return;
+        try {
+            if (modeRef.current === 'positive') {
+                await trainer.addPositive(audio, sampleRate);
+            } else {
+                await trainer.addNegative(audio, sampleRate);
+            }
+            setError(null);
+        } catch (err) {
+            console.error("Adding training recording failed:", err);
+            setError(err.message || String(err));
+        }
+        if (trainerRef.current === trainer) {
+            setSession(prev => prev && { ...prev, positives: trainer.positiveRecordings, negatives: trainer.negativeRecordings });
+        }
+    }, []);
+
+    // Resolves to { name, model, metrics }, or null if training failed or the session was cancelled
+    const train = useCallback(async () => {
+        const trainer = trainerRef.current;
+        if (!trainer) return null;
+        setError(null);
+        setSession(prev => prev && { ...prev, training: true, epoch: 0 });
+        try {
+            const { model, metrics } = await trainer.train(({ epoch, epochs }) => {
+                setSession(prev => prev && { ...prev, epoch, epochs });
+            });
+            if (trainerRef.current !== trainer) return null;
+            trainerRef.current = null;
+            setSession(null);
+            return { name: nameRef.current, model, metrics };
+        } catch (err) {
+            console.error("Wake word training failed:", err);
+            setError(err.message || String(err));
+            setSession(prev => prev && { ...prev, training: false });
+            return null;
+        }
+    }, []);
+
+    return { session, error, begin, cancel, setMode, addRecording, train };
+};
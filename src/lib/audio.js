@@ -1,8 +1,634 @@
 /** @module audio */
-// Minified worklet code
+import { sleep } from "./helpers.js";
+import { Mutex } from "./mutex.js";
+import { Resampler, getResamplerSettings, measureAliasing, resample } from "./resampler.js";
+
+// Minified worklet code. Its second input takes the playback reference for echo cancellation,
+// while that is connected frames are posted as `{ samples, reference }` instead of bare samples.
+// Both inputs go through their own Resampler, built from the class's source so the worklet needs no imports.
+// With `testSignal` set it captures a sweep up to its own Nyquist frequency instead of the microphone,
+// everything above the target's Nyquist frequency should then be gone rather than fold back down
 const workletName = "hey-buddy";
-const workletBlob = new Blob([`(()=>{class t extends AudioWorkletProcessor{constructor(t){super(t),this.targetSampleRate=t.processorOptions.targetSampleRate,this.inputBuffer=new Float32Array(this.inputFrameSize),this.inputBufferSize=0,this.outputBuffer=new Float32Array(this.targetFrameSize)}get inputFrameSize(){return Math.round(sampleRate/50)}get targetFrameSize(){return Math.round(this.targetSampleRate/50)}async flush(){const t=sampleRate/this.targetSampleRate;this.outputBuffer.fill(0);for(let e=0;e<this.targetFrameSize;e++){const i=e*t,r=Math.floor(i),s=Math.min(r+1,this.targetFrameSize-1),u=i-r;this.outputBuffer[e]=this.inputBuffer[r]*(1-u)+this.inputBuffer[s]*u}await this.port.postMessage(this.outputBuffer)}pushAudio(t){const e=t.length,i=this.inputFrameSize-this.inputBufferSize;if(e<i)return this.inputBuffer.set(t,this.inputBufferSize),void(this.inputBufferSize+=e);this.inputBuffer.set(t.subarray(0,i),this.inputBufferSize),this.flush(),this.inputBufferSize=0,this.pushAudio(t.subarray(i))}process(t,e,i){return this.pushAudio(t[0][0]),!0}}registerProcessor("${workletName}",t)})();`], {type: "application/javascript"});
-const workletUrl = URL.createObjectURL(workletBlob);
+const workletBlob = new Blob([`(()=>{const R=(${Resampler});class t extends AudioWorkletProcessor{constructor(t){super(t);const e=t.processorOptions;this.targetSampleRate=e.targetSampleRate,this.resampler=new R(sampleRate,e.targetSampleRate,e.resampler),this.referenceResampler=new R(sampleRate,e.targetSampleRate,e.resampler),this.outputBuffer=new Float32Array(this.targetFrameSize),this.referenceOutputBuffer=new Float32Array(this.targetFrameSize),this.outputSize=0,this.hasReference=!1,this.silence=new Float32Array(128),this.testSignal=!!e.testSignal,this.testBuffer=new Float32Array(128),this.testTime=0,this.testPhase=0,this.outputPort=this.port,this.port.onmessage=t=>{const e=t.data;e&&(e.port&&(this.outputPort=e.port),void 0!==e.testSignal&&(this.testSignal=!!e.testSignal))}}get targetFrameSize(){return Math.round(this.targetSampleRate/50)}generateTestSignal(t){const e=4*sampleRate,i=.95*sampleRate/2;this.testBuffer.length<t&&(this.testBuffer=new Float32Array(t));for(let r=0;r<t;r++){const s=100*Math.pow(i/100,this.testTime/e);this.testPhase=(this.testPhase+2*Math.PI*s/sampleRate)%(2*Math.PI),this.testBuffer[r]=.25*Math.sin(this.testPhase),this.testTime=(this.testTime+1)%e}return this.testBuffer.subarray(0,t)}flush(){const t=this.hasReference;this.hasReference=!1,t?this.outputPort.postMessage({samples:this.outputBuffer,reference:this.referenceOutputBuffer}):this.outputPort.postMessage(this.outputBuffer)}pushAudio(t,e){const i=this.resampler.process(t);let r;e&&e.length>0?(this.hasReference=!0,r=this.referenceResampler.process(e)):(this.silence.length<t.length&&(this.silence=new Float32Array(t.length)),r=this.referenceResampler.process(this.silence.subarray(0,t.length)));for(let s=0;s<i.length;){const u=Math.min(i.length-s,this.targetFrameSize-this.outputSize);this.outputBuffer.set(i.subarray(s,s+u),this.outputSize),this.referenceOutputBuffer.set(r.subarray(s,s+u),this.outputSize),this.outputSize+=u,s+=u,this.outputSize===this.targetFrameSize&&(this.flush(),this.outputSize=0)}}process(t){const e=t[0]&&t[0][0],i=t[1]&&t[1][0]||null;return this.testSignal?this.pushAudio(this.generateTestSignal(e?e.length:128),i):e&&this.pushAudio(e,i),!0}}registerProcessor("${workletName}",t)})();`], {type: "application/javascript"});
+// Object URL of the worklet, shared by all nodes and revoked when the last one is disposed
+let workletUrl = null;
+let workletUrlUsers = 0;
+
+/**
+ * Gets the worklet object URL, creating it if needed.
+ * Every call must be matched by a call to releaseWorkletUrl.
+ * @returns {string} The object URL.
+ */
+function acquireWorkletUrl() {
+    if (workletUrl === null) {
+        workletUrl = URL.createObjectURL(workletBlob);
+    }
+    workletUrlUsers++;
+    return workletUrl;
+}
+
+/**
+ * Releases the worklet object URL, revoking it once nothing uses it.
+ */
+function releaseWorkletUrl() {
+    workletUrlUsers = Math.max(0, workletUrlUsers - 1);
+    if (workletUrlUsers === 0 && workletUrl !== null) {
+        URL.revokeObjectURL(workletUrl);
+        workletUrl = null;
+    }
+}
+
+/**
+ * Processing the browser applies to the microphone, each on by default.
+ * @typedef {Object} AudioConstraints
+ * @property {boolean} [echoCancellation=true] - Whether the browser cancels the echo of what the page plays.
+ * @property {boolean} [autoGainControl=true] - Whether the browser evens out the level.
+ * @property {boolean} [noiseSuppression=true] - Whether the browser suppresses steady noise.
+ */
+
+/**
+ * An audio input as listed by the browser.
+ * @typedef {Object} AudioInputDevice
+ * @property {string} deviceId - Id to select it by, `default` for the browser's default where it lists one.
+ * @property {string} groupId - Devices of the same hardware, e.g. a headset, share it.
+ * @property {string} label - Name of the device, empty until microphone permission is granted.
+ */
+
+/**
+ * Lists the audio inputs, e.g. to choose one for MediaStreamSource.
+ * @returns {Promise<AudioInputDevice[]>} The inputs, none where devices cannot be listed.
+ */
+export async function listAudioInputs() {
+    if (typeof navigator === "undefined" || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter((device) => device.kind === "audioinput")
+        .map(({ deviceId, groupId, label }) => ({ deviceId, groupId, label }));
+}
+
+/**
+ * Converts an AudioBuffer to a single channel by averaging all channels.
+ * @param {AudioBuffer} audioBuffer - The audio buffer.
+ * @returns {Float32Array} The mono samples.
+ */
+export function audioBufferToMono(audioBuffer) {
+    if (audioBuffer.numberOfChannels === 1) {
+        return audioBuffer.getChannelData(0);
+    }
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const channelData = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += channelData[i] / audioBuffer.numberOfChannels;
+        }
+    }
+    return mono;
+}
+
+/**
+ * Base class for sources of audio frames that feed an AudioBatcher.
+ */
+export class AudioSource {
+    /**
+     * @param {number} targetSampleRate - The sample rate frames are delivered at.
+     */
+    constructor(targetSampleRate = 16000) {
+        this.targetSampleRate = targetSampleRate;
+        this.stopped = false;
+    }
+
+    /**
+     * The number of samples in a frame (20ms, matching the worklet).
+     * @type {number}
+     */
+    get frameSize() {
+        return Math.round(this.targetSampleRate / 50);
+    }
+
+    /**
+     * Starts delivering frames.
+     * @param {Function} onFrame - Called with each frame as a Float32Array at the target sample rate.
+     * @returns {Promise} A promise that resolves once the source is running.
+     */
+    async start() {
+        throw new Error("Not Implemented");
+    }
+
+    /**
+     * Stops delivering frames and releases anything the source holds.
+     */
+    async stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Delivers samples to a callback in frame-sized pieces, waiting on the callback between frames.
+     * @param {Function} onFrame - The frame callback.
+     * @param {Float32Array} samples - The samples to deliver.
+     * @param {boolean} [realtime=false] - Whether to pace frames at the speed they would be captured.
+     */
+    async deliver(onFrame, samples, realtime = false) {
+        for (let i = 0; i < samples.length && !this.stopped; i += this.frameSize) {
+            await onFrame(samples.subarray(i, i + this.frameSize));
+            if (realtime) {
+                await sleep(1000 * this.frameSize / this.targetSampleRate);
+            }
+        }
+    }
+}
+
+/**
+ * An audio source that captures a MediaStream through the resampling worklet.
+ * When no stream is given, the microphone is requested: the chosen device, or the default one.
+ * A microphone it requested follows device changes, e.g. a headset being plugged in or out,
+ * by swapping the node that feeds the worklet; the worklet and everything after it keep running.
+ * A reference stream of what the speakers play can be captured alongside it, see setReferenceStream.
+ * @extends AudioSource
+ */
+export class MediaStreamSource extends AudioSource {
+    /**
+     * @param {MediaStream|null} stream - The stream to capture, or null for the default microphone.
+     * @param {number} targetSampleRate - The target sample rate of the worklet.
+     * @param {MediaStream|null} [referenceStream] - The playback reference, see setReferenceStream.
+     * @param {Object} [options] - Capture options.
+     * @param {string} [options.resamplerQuality="medium"] - Quality of the worklet's resampler, see RESAMPLER_QUALITIES.
+     * @param {boolean} [options.testSignal=false] - Whether to capture the test signal instead of the stream, see setTestSignal.
+     * @param {string} [options.deviceId] - The microphone to request, see listAudioInputs; the default one if not given or not there.
+     * @param {AudioConstraints} [options.constraints] - Processing the browser applies to a requested microphone.
+     * @param {boolean} [options.followDevices=true] - Whether a requested microphone follows device changes.
+     * @throws {Error} - If the resampler quality is unknown.
+     */
+    constructor(stream = null, targetSampleRate = 16000, referenceStream = null, options = {}) {
+        super(targetSampleRate);
+        this.stream = stream;
+        this.ownsStream = stream === null; // Only tracks we requested are stopped
+        this.referenceStream = referenceStream;
+        this.resamplerQuality = options.resamplerQuality || "medium";
+        this.resamplerSettings = getResamplerSettings(this.resamplerQuality);
+        this.testSignal = !!options.testSignal;
+        this.deviceId = options.deviceId || null; // Preferred, the stream may be of the default while it is unplugged
+        this.constraints = {
+            echoCancellation: true,
+            autoGainControl: true,
+            noiseSuppression: true,
+            ...options.constraints,
+        };
+        this.followDevices = options.followDevices ?? true;
+        this.deviceCallbacks = [];
+        this.switching = new Mutex(); // Stream swaps run one at a time
+        this.onDeviceChange = () => this.followDevice().catch((error) => console.error("Failed to follow the audio device:", error));
+        this.audioContext = null;
+        this.sourceNode = null;
+        this.referenceNode = null;
+        this.workerNode = null;
+    }
+
+    /**
+     * Adds a callback called with the device, see getDevice, once the stream is open and whenever
+     * it is replaced: by setDevice, setConstraints or following a device change.
+     * @param {Function} callback - The callback to add.
+     */
+    onStreamChange(callback) {
+        this.deviceCallbacks.push(callback);
+    }
+
+    /**
+     * Describes what is being captured.
+     * @returns {Object|null} - `{ deviceId, groupId, label, preferredDeviceId, constraints, settings }`:
+     * the captured device, the one asked for, the constraints asked for and those the browser applied;
+     * null before the stream is open.
+     */
+    getDevice() {
+        const track = this.stream === null ? null : this.stream.getAudioTracks()[0];
+        if (!track) {
+            return null;
+        }
+        const settings = track.getSettings ? track.getSettings() : {};
+        return {
+            deviceId: settings.deviceId ?? null,
+            groupId: settings.groupId ?? null,
+            label: track.label,
+            preferredDeviceId: this.deviceId,
+            constraints: { ...this.constraints },
+            settings: {
+                echoCancellation: settings.echoCancellation ?? null,
+                autoGainControl: settings.autoGainControl ?? null,
+                noiseSuppression: settings.noiseSuppression ?? null,
+            },
+        };
+    }
+
+    /**
+     * Captures another microphone. Can be called while capturing, the stream is swapped without a gap.
+     * A given stream is replaced by a requested one, which then follows device changes.
+     * @param {string|null} deviceId - The microphone, see listAudioInputs; null for the default one.
+     * @returns {Promise<Object|null>} - The device now captured, see getDevice.
+     */
+    async setDevice(deviceId) {
+        this.deviceId = deviceId || null;
+        return this.reopen();
+    }
+
+    /**
+     * Changes the processing the browser applies to the microphone, see AudioConstraints.
+     * Can be called while capturing, the stream is requested again with them.
+     * @param {AudioConstraints} constraints - The constraints to change, others are kept.
+     * @returns {Promise<Object|null>} - The device now captured, see getDevice.
+     */
+    async setConstraints(constraints) {
+        this.constraints = { ...this.constraints, ...constraints };
+        return this.reopen();
+    }
+
+    /**
+     * Requests the microphone: the preferred device, or the default one if it cannot be had.
+     * @returns {Promise<MediaStream>} The stream.
+     */
+    async requestStream() {
+        const audio = { channelCount: 1, ...this.constraints };
+        if (this.deviceId !== null) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({
+                    audio: { ...audio, deviceId: { exact: this.deviceId } }
+                });
+            } catch (error) {
+                if (error.name !== "OverconstrainedError" && error.name !== "NotFoundError") {
+                    throw error;
+                }
+                // Unplugged, capture the default until it is back
+            }
+        }
+        return navigator.mediaDevices.getUserMedia({ audio });
+    }
+
+    /**
+     * Requests the microphone again and feeds the worklet from the new stream, then stops the old one.
+     * Before capturing has started only the next request is changed.
+     * @returns {Promise<Object|null>} - The device now captured, see getDevice.
+     */
+    reopen() {
+        return this.switching.runExclusive(() => this.swapStream());
+    }
+
+    /**
+     * After a device change, swaps the stream if it is not of the device it should be:
+     * the preferred one while it is there, else the default one. Also when the device was unplugged.
+     * Unplugging ends the track and changes the devices, the second finds the stream already swapped.
+     * @returns {Promise<Object|null>} - The device now captured if it was swapped, see getDevice.
+     */
+    followDevice() {
+        return this.switching.runExclusive(async () => {
+            if (this.audioContext === null || this.stopped) {
+                return null;
+            }
+            const track = this.stream.getAudioTracks()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+            let stale = !track || track.readyState === "ended";
+            if (!stale) {
+                const inputs = await listAudioInputs();
+                const preferred = inputs.find((input) => input.deviceId === this.deviceId);
+                // Browsers that list the default as its own entry share the group of the device behind it
+                const target = preferred || inputs.find((input) => input.deviceId === "default") || inputs[0];
+                if (target) {
+                    stale = target.deviceId === "default"
+                        ? target.groupId !== settings.groupId
+                        : target.deviceId !== settings.deviceId;
+                }
+            }
+            return stale ? this.swapStream() : null;
+        });
+    }
+
+    /**
+     * Swaps the stream for a newly requested one, see reopen; runs with the switching lock held.
+     * @returns {Promise<Object|null>} - The device now captured, see getDevice.
+     */
+    async swapStream() {
+        if (this.audioContext === null || this.stopped) {
+            // Not capturing, opening requests the microphone as set now
+            if (!this.stopped && !this.ownsStream) {
+                this.stream = null;
+                this.ownsStream = true;
+            }
+            return null;
+        }
+        const stream = await this.requestStream();
+        if (this.audioContext === null || this.stopped) {
+            stream.getTracks().forEach((track) => track.stop());
+            return null;
+        }
+        const previousStream = this.stream;
+        const previousNode = this.sourceNode;
+        this.stream = stream;
+        this.sourceNode = new MediaStreamAudioSourceNode(
+            this.audioContext,
+            { mediaStream: stream }
+        );
+        this.sourceNode.connect(this.workerNode.worker);
+        previousNode.disconnect();
+        this.unwatchTracks(previousStream);
+        if (this.ownsStream) {
+            previousStream.getTracks().forEach((track) => track.stop());
+        }
+        this.ownsStream = true;
+        this.watchDevices();
+        const device = this.getDevice();
+        this.deviceCallbacks.forEach((callback) => callback(device));
+        return device;
+    }
+
+    /**
+     * Follows device changes and the captured device ending, if this source requested it.
+     */
+    watchDevices() {
+        if (!this.ownsStream || !this.followDevices) {
+            return;
+        }
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            // Adding the same listener again does nothing
+            navigator.mediaDevices.addEventListener("devicechange", this.onDeviceChange);
+        }
+        this.stream.getAudioTracks().forEach((track) => track.addEventListener("ended", this.onDeviceChange));
+    }
+
+    /**
+     * Stops following a stream's tracks ending.
+     * @param {MediaStream} stream - The stream.
+     */
+    unwatchTracks(stream) {
+        stream.getAudioTracks().forEach((track) => track.removeEventListener("ended", this.onDeviceChange));
+    }
+
+    /**
+     * Sets the stream of what the speakers play, e.g. the assistant's voice, so its echo can be
+     * cancelled from the microphone. Frames then carry the reference, see EchoCanceller.
+     * Can be called while capturing; null stops capturing the reference.
+     * @param {MediaStream|null} stream - The playback reference.
+     */
+    setReferenceStream(stream) {
+        this.referenceStream = stream;
+        if (this.workerNode !== null) {
+            this.connectReference();
+        }
+    }
+
+    /**
+     * Captures a test signal instead of the stream, or goes back to the stream.
+     * The signal is a sweep from 100 Hz to just below the capture rate's Nyquist frequency, repeating every
+     * 4 seconds. Past the target rate's Nyquist frequency it should fall silent after resampling;
+     * audible as a tone sweeping back down, it would be aliasing. Can be called while capturing.
+     * @param {boolean} enabled - Whether to capture the test signal.
+     */
+    setTestSignal(enabled) {
+        this.testSignal = !!enabled;
+        if (this.workerNode !== null) {
+            this.workerNode.setTestSignal(this.testSignal);
+        }
+    }
+
+    /**
+     * Measures the aliasing the worklet's resampler lets through at the capture rate, see measureAliasing.
+     * @returns {Object|null} - The measurement, null before capturing has started.
+     */
+    measureAliasing() {
+        if (this.audioContext === null) {
+            return null;
+        }
+        return {
+            quality: this.resamplerQuality,
+            ...measureAliasing(this.audioContext.sampleRate, this.targetSampleRate, this.resamplerSettings),
+        };
+    }
+
+    /**
+     * Connects the reference stream to the worklet's second input, replacing any earlier one.
+     */
+    connectReference() {
+        if (this.referenceNode !== null) {
+            this.referenceNode.disconnect();
+            this.referenceNode = null;
+        }
+        if (this.referenceStream !== null) {
+            this.referenceNode = new MediaStreamAudioSourceNode(
+                this.audioContext,
+                { mediaStream: this.referenceStream }
+            );
+            this.referenceNode.connect(this.workerNode.worker, 0, 1);
+        }
+    }
+
+    /**
+     * Starts capturing the stream.
+     * @param {Function} onFrame - Called with each frame.
+     */
+    async start(onFrame) {
+        await this.open();
+        this.workerNode.worker.port.onmessage = (event) => {
+            onFrame(event.data);
+        }
+    }
+
+    /**
+     * Starts capturing the stream, with the worklet posting frames straight to a port
+     * instead of the main thread, e.g. a port whose other end is in a worker.
+     * @param {MessagePort} port - The port frames are posted to.
+     */
+    async forward(port) {
+        await this.open();
+        this.workerNode.forward(port);
+    }
+
+    /**
+     * Opens the stream and builds the audio graph.
+     */
+    async open() {
+        if (this.stream === null) {
+            this.stream = await this.requestStream();
+        }
+        this.audioContext = new AudioContext();
+        this.sourceNode = new MediaStreamAudioSourceNode(
+            this.audioContext,
+            { mediaStream: this.stream }
+        );
+        this.workerNode = await AudioNode.create(
+            this.audioContext,
+            this.targetSampleRate,
+            { resampler: this.resamplerSettings, testSignal: this.testSignal },
+        );
+        this.sourceNode.connect(this.workerNode.worker);
+        this.connectReference();
+        this.watchDevices();
+        const device = this.getDevice();
+        this.deviceCallbacks.forEach((callback) => callback(device));
+    }
+
+    /**
+     * Stops capturing, disconnects the graph, closes the audio context
+     * and stops the microphone tracks if this source requested them.
+     */
+    async stop() {
+        await super.stop();
+        if (typeof navigator !== "undefined" && navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener("devicechange", this.onDeviceChange);
+        }
+        if (this.stream !== null) {
+            this.unwatchTracks(this.stream);
+        }
+        if (this.sourceNode !== null) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.referenceNode !== null) {
+            this.referenceNode.disconnect();
+            this.referenceNode = null;
+        }
+        if (this.workerNode !== null) {
+            this.workerNode.dispose();
+            this.workerNode = null;
+        }
+        if (this.stream !== null && this.ownsStream) {
+            this.stream.getTracks().forEach((track) => track.stop());
+            this.stream = null;
+        }
+        if (this.audioContext !== null) {
+            if (this.audioContext.state !== "closed") {
+                await this.audioContext.close();
+            }
+            this.audioContext = null;
+        }
+    }
+}
+
+/**
+ * An audio source that plays back a recording held in memory.
+ * @extends AudioSource
+ */
+export class BufferSource extends AudioSource {
+    /**
+     * @param {AudioBuffer|Float32Array} samples - The recording.
+     * @param {number} [sampleRate] - The sample rate of a Float32Array recording, defaults to the target sample rate.
+     * @param {number} targetSampleRate - The sample rate frames are delivered at.
+     * @param {boolean} [realtime=false] - Whether to pace frames at the speed they would be captured.
+     */
+    constructor(samples, sampleRate = null, targetSampleRate = 16000, realtime = false) {
+        super(targetSampleRate);
+        if (typeof AudioBuffer !== "undefined" && samples instanceof AudioBuffer) {
+            sampleRate = samples.sampleRate;
+            samples = audioBufferToMono(samples);
+        }
+        this.samples = resample(samples, sampleRate || targetSampleRate, targetSampleRate);
+        this.realtime = realtime;
+        this.done = null;
+    }
+
+    /**
+     * Starts delivering the recording. Resolves immediately; await `done` for the end of the recording.
+     * @param {Function} onFrame - Called with each frame.
+     */
+    async start(onFrame) {
+        this.done = this.deliver(onFrame, this.samples, this.realtime);
+    }
+}
+
+/**
+ * An audio source that reads PCM frames from a (possibly async) iterable.
+ * Frames must already be at the target sample rate.
+ * @extends AudioSource
+ */
+export class IterableSource extends AudioSource {
+    /**
+     * @param {AsyncIterable<Float32Array>|Iterable<Float32Array>} iterable - The frames.
+     * @param {number} targetSampleRate - The sample rate of the frames.
+     */
+    constructor(iterable, targetSampleRate = 16000) {
+        super(targetSampleRate);
+        this.iterable = iterable;
+        this.done = null;
+    }
+
+    /**
+     * Starts reading frames. Resolves immediately; await `done` for the end of the iterable.
+     * @param {Function} onFrame - Called with each frame.
+     */
+    async start(onFrame) {
+        this.done = (async () => {
+            for await (const frame of this.iterable) {
+                if (this.stopped) {
+                    break;
+                }
+                await this.deliver(onFrame, frame);
+            }
+        })();
+    }
+}
+
+/**
+ * An audio source that receives frames over a MessagePort, e.g. from a worklet in another thread.
+ * Frames must already be at the target sample rate.
+ * @extends AudioSource
+ */
+export class MessagePortSource extends AudioSource {
+    /**
+     * @param {MessagePort} port - The port frames arrive on.
+     * @param {number} targetSampleRate - The sample rate of the frames.
+     */
+    constructor(port, targetSampleRate = 16000) {
+        super(targetSampleRate);
+        this.port = port;
+    }
+
+    /**
+     * Starts receiving frames.
+     * @param {Function} onFrame - Called with each frame.
+     */
+    async start(onFrame) {
+        this.port.onmessage = (event) => {
+            onFrame(event.data);
+        };
+    }
+
+    /**
+     * Stops receiving frames and closes the port.
+     */
+    async stop() {
+        await super.stop();
+        this.port.onmessage = null;
+        this.port.close();
+    }
+}
+
+/**
+ * Creates an audio source from any supported input.
+ * @param {AudioSource|MediaStream|MessagePort|AudioBuffer|Float32Array|AsyncIterable<Float32Array>|null} input - The input, or null for the default microphone.
+ * @param {number} targetSampleRate - The sample rate frames are delivered at.
+ * @param {number} [sampleRate] - The sample rate of a Float32Array input.
+ * @param {Object} [captureOptions] - Options of a MediaStreamSource, see there.
+ * @returns {AudioSource} The audio source.
+ * @throws {Error} If the input is not supported.
+ */
+export function createAudioSource(input, targetSampleRate = 16000, sampleRate = null, captureOptions = {}) {
+    if (input === null || input === undefined) {
+        return new MediaStreamSource(null, targetSampleRate, null, captureOptions);
+    }
+    if (input instanceof AudioSource) {
+        return input;
+    }
+    if (typeof MediaStream !== "undefined" && input instanceof MediaStream) {
+        return new MediaStreamSource(input, targetSampleRate, null, captureOptions);
+    }
+    if (typeof MessagePort !== "undefined" && input instanceof MessagePort) {
+        return new MessagePortSource(input, targetSampleRate);
+    }
+    if (input instanceof Float32Array || (typeof AudioBuffer !== "undefined" && input instanceof AudioBuffer)) {
+        return new BufferSource(input, sampleRate, targetSampleRate);
+    }
+    if (typeof input[Symbol.asyncIterator] === "function" || typeof input[Symbol.iterator] === "function") {
+        return new IterableSource(input, targetSampleRate);
+    }
+    throw new Error("Unsupported audio source");
+}
 
 /**
  * A class that batches audio samples and calls a callback with the batch.
@@ -12,21 +638,31 @@ export class AudioBatcher {
      * @param {number} batchSeconds - The number of seconds to batch.
      * @param {number} batchIntervalSeconds - The number of seconds to wait before calling the callback.
      * @param {number} targetSampleRate - The target sample rate of the worklet.
+     * @param {AudioSource|MediaStream|MessagePort|AudioBuffer|Float32Array|AsyncIterable<Float32Array>|null} source - Where audio comes from, defaults to the microphone.
+     * @param {number} [sourceSampleRate] - The sample rate of a Float32Array source.
+     * @param {Object} [captureOptions] - Options of a MediaStream source, see MediaStreamSource.
      */
     constructor(
         batchSeconds=2.0,
         batchIntervalSeconds=0.05, // 50ms
         targetSampleRate=16000,
+        source=null,
+        sourceSampleRate=null,
+        captureOptions={},
     ) {
         this.initialized = false;
         this.callbacks = [];
         this.batchSeconds = batchSeconds;
         this.batchIntervalSeconds = batchIntervalSeconds;
         this.batchIntervalCount = 0;
+        this.totalSamples = 0; // Samples pushed since creation, the absolute position of the end of the buffer
         this.targetSampleRate = targetSampleRate;
         this.buffer = new Float32Array(this.batchSamples);
         this.buffer.fill(0);
-        this.initialize();
+        this.source = createAudioSource(source, targetSampleRate, sourceSampleRate, captureOptions);
+        this.echoCanceller = null; // Applied to frames that carry a playback reference, see receive
+        this.disposed = false;
+        this.initializing = this.initialize();
     }
 
     /**
@@ -54,7 +690,10 @@ export class AudioBatcher {
 
     /**
      * Pushes new audio samples into the buffer.
+     * Callbacks receive a copy of the buffer, which later pushes cannot change while they run,
+     * and the absolute position of its end.
      * @param {Float32Array} data - The new audio samples.
+     * @returns {Promise} A promise that resolves when any batch callbacks triggered by this push have finished.
      */
     push(data) {
         const dataLength = data.length;
@@ -63,11 +702,29 @@ export class AudioBatcher {
         // Append the new data
         this.buffer.set(data, this.buffer.length - dataLength);
         this.batchIntervalCount += dataLength;
+        this.totalSamples += dataLength;
         // If we have enough samples, call the callbacks and reset the interval count
         if (this.batchIntervalCount >= this.batchIntervalSamples) {
-            this.callbacks.forEach(callback => callback(this.buffer));
             this.batchIntervalCount = 0;
+            const batch = this.buffer.slice();
+            return Promise.all(this.callbacks.map(callback => callback(batch, this.totalSamples)));
+        }
+    }
+
+    /**
+     * Pushes a frame from the source. A frame with a playback reference, `{ samples, reference }`,
+     * has the reference's echo cancelled first if there is an echo canceller.
+     * @param {Float32Array|Object} frame - The frame.
+     * @returns {Promise} See push.
+     */
+    receive(frame) {
+        if (frame instanceof Float32Array) {
+            return this.push(frame);
         }
+        if (this.echoCanceller === null) {
+            return this.push(frame.samples);
+        }
+        return this.push(this.echoCanceller.process(frame.samples, frame.reference));
     }
 
     /**
@@ -93,30 +750,26 @@ export class AudioBatcher {
         if (this.initialized) {
             return;
         }
-        this.stream = await navigator.mediaDevices.getUserMedia({
-            audio: {
-                channelCount: 1,
-                echoCancellation: true,
-                autoGainControl: true,
-                noiseSuppression: true,
-            }
-        });
-        this.audioContext = new AudioContext();
-        this.sourceNode = new MediaStreamAudioSourceNode(
-            this.audioContext,
-            { mediaStream: this.stream }
-        );
-        this.workerNode = await AudioNode.create(
-            this.audioContext,
-            this.targetSampleRate,
-        );
-        this.sourceNode.connect(this.workerNode.worker);
-        this.workerNode.worker.port.onmessage = (event) => {
-            this.push(event.data);
-        }
         this.clearBuffer();
+        await this.source.start((frame) => this.receive(frame));
         this.initialized = true;
     }
+
+    /**
+     * Stops the source and drops all callbacks. The batcher cannot be used afterwards.
+     * @returns {Promise} A promise that resolves once the source has stopped.
+     */
+    async dispose() {
+        if (this.disposed) {
+            return;
+        }
+        this.disposed = true;
+        this.callbacks = [];
+        // Let a pending start finish, so whatever it opened gets closed
+        await this.initializing.catch(() => {});
+        await this.source.stop();
+        this.initialized = false;
+    }
 }
 
 /**
@@ -136,16 +789,53 @@ export class AudioNode {
      * Creates an AudioNode.
      * @param {AudioContext} context - The audio context.
      * @param {number} targetSampleRate - The target sample rate of the worklet.
+     * @param {Object} [options] - Worklet options.
+     * @param {Object} [options.resampler] - Filter settings of the resampler, see getResamplerSettings; defaults to medium.
+     * @param {boolean} [options.testSignal=false] - Whether to start with the test signal, see MediaStreamSource.setTestSignal.
      * @returns {Promise<AudioNode>} The created AudioNode.
      */
-    static async create(context, targetSampleRate) {
-        await context.audioWorklet.addModule(workletUrl);
+    static async create(context, targetSampleRate, options = {}) {
+        try {
+            await context.audioWorklet.addModule(acquireWorkletUrl());
+        } catch (error) {
+            releaseWorkletUrl();
+            throw error;
+        }
         const workletOptions = {
+            numberOfInputs: 2, // Microphone, playback reference
             processorOptions: {
                 targetSampleRate: targetSampleRate,
+                resampler: options.resampler || getResamplerSettings("medium"),
+                testSignal: !!options.testSignal,
             }
         };
         const worker = new AudioWorkletNode(context, workletName, workletOptions);
         return new AudioNode(context, worker);
     }
+
+    /**
+     * Makes the worklet post its frames to another port instead of its own.
+     * @param {MessagePort} port - The port frames are posted to, transferred to the worklet.
+     */
+    forward(port) {
+        this.worker.port.postMessage({ port }, [port]);
+    }
+
+    /**
+     * Makes the worklet capture its test signal instead of its input, or go back to the input.
+     * @param {boolean} enabled - Whether to capture the test signal.
+     */
+    setTestSignal(enabled) {
+        this.worker.port.postMessage({ testSignal: enabled });
+    }
+
+    /**
+     * Disconnects the worklet node and releases the worklet URL.
+     */
+    dispose() {
+        this.worker.port.onmessage = null;
+        this.worker.port.close();
+        this.worker.disconnect();
+        releaseWorkletUrl();
+    }
 }
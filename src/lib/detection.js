@@ -0,0 +1,324 @@
+/** @module detection */
+
+/**
+ * Decides, frame by frame, when a wake word counts as detected from its model's probabilities.
+ * A strategy instance belongs to one wake word and keeps the history it needs between frames.
+ */
+export class DetectionStrategy {
+    /**
+     * @param {Object} [options] - Options of the strategy.
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.type = null;
+        this.probability = 0.0;
+        this.threshold = 0.0;
+        this.detected = false;
+    }
+
+    /**
+     * Feeds the probability of the next frame.
+     * @param {number} probability - The model's probability for the frame.
+     * @param {number} threshold - The wake word's threshold.
+     * @returns {boolean} - Whether the wake word is detected in this frame.
+     */
+    update(probability, threshold) {
+        this.probability = probability;
+        this.threshold = threshold;
+        this.detected = this.decide(probability, threshold);
+        return this.detected;
+    }
+
+    /**
+     * Makes the decision for a frame, implemented by each strategy.
+     * @param {number} probability - The model's probability for the frame.
+     * @param {number} threshold - The wake word's threshold.
+     * @returns {boolean} - Whether the wake word is detected.
+     */
+    decide() {
+        throw new Error("Not implemented");
+    }
+
+    /**
+     * Forgets the history, e.g. when the wake word is disabled.
+     */
+    reset() {
+        this.probability = 0.0;
+        this.detected = false;
+    }
+
+    /**
+     * Describes the strategy's state after the last frame, for display.
+     * `score` is the value held against the threshold, or the progress towards a detection.
+     * @returns {Object} - `{ type, probability, threshold, score, detected, ... }`.
+     */
+    getState() {
+        return {
+            type: this.type,
+            probability: this.probability,
+            threshold: this.threshold,
+            score: this.probability,
+            detected: this.detected,
+        };
+    }
+}
+
+/**
+ * Detects a wake word in every frame at or above the threshold.
+ */
+export class ThresholdStrategy extends DetectionStrategy {
+    constructor(options) {
+        super(options);
+        this.type = "threshold";
+    }
+
+    decide(probability, threshold) {
+        return probability >= threshold;
+    }
+}
+
+/**
+ * Detects a wake word once N of the last M frames are at or above the threshold,
+ * so a single spurious frame does not trigger it.
+ */
+export class NOfMStrategy extends DetectionStrategy {
+    /**
+     * @param {Object} [options] - Options object.
+     * @param {number} [options.n=2] - Frames that must be at or above the threshold.
+     * @param {number} [options.m=3] - Frames looked at.
+     */
+    constructor(options) {
+        super(options);
+        this.type = "nOfM";
+        this.m = Math.max(1, this.options.m || 3);
+        this.n = Math.min(this.m, Math.max(1, this.options.n || 2));
+        this.history = [];
+    }
+
+    decide(probability, threshold) {
+        this.history.push(probability >= threshold);
+        if (this.history.length > this.m) {
+            this.history.shift();
+        }
+        return this.count >= this.n;
+    }
+
+    /**
+     * Frames at or above the threshold among the last M.
+     * @type {number}
+     */
+    get count() {
+        return this.history.filter((above) => above).length;
+    }
+
+    reset() {
+        super.reset();
+        this.history = [];
+    }
+
+    getState() {
+        return { ...super.getState(), n: this.n, m: this.m, count: this.count, score: this.count / this.n };
+    }
+}
+
+/**
+ * Detects a wake word when the average probability of the last frames is at or above the threshold.
+ * Frames before the first count as zero.
+ */
+export class MovingAverageStrategy extends DetectionStrategy {
+    /**
+     * @param {Object} [options] - Options object.
+     * @param {number} [options.frames=3] - Frames averaged.
+     */
+    constructor(options) {
+        super(options);
+        this.type = "movingAverage";
+        this.frames = Math.max(1, this.options.frames || 3);
+        this.history = [];
+    }
+
+    decide(probability, threshold) {
+        this.history.push(probability);
+        if (this.history.length > this.frames) {
+            this.history.shift();
+        }
+        return this.average >= threshold;
+    }
+
+    /**
+     * Average probability of the last frames.
+     * @type {number}
+     */
+    get average() {
+        return this.history.reduce((sum, probability) => sum + probability, 0.0) / this.frames;
+    }
+
+    reset() {
+        super.reset();
+        this.history = [];
+    }
+
+    getState() {
+        return { ...super.getState(), frames: this.frames, average: this.average, score: this.average };
+    }
+}
+
+/**
+ * Detects a wake word once its probability has crossed the threshold and started to fall from its peak,
+ * which is when the wake word has been said in full. It then stays quiet until the probability drops
+ * well below the threshold, so one utterance gives one detection.
+ *
+ * Phases: `idle` waits for the threshold, `rising` follows the peak, `latched` waits for the release.
+ */
+export class HysteresisStrategy extends DetectionStrategy {
+    /**
+     * @param {Object} [options] - Options object.
+     * @param {number} [options.decay=0.1] - Fraction the probability must fall from its peak to count as past it.
+     * @param {number} [options.release=0.5] - Fraction of the threshold the probability must fall below to re-arm.
+     * @param {number} [options.maxRiseFrames=4] - Frames to wait for the peak before detecting anyway.
+     */
+    constructor(options) {
+        super(options);
+        this.type = "hysteresis";
+        this.decay = this.options.decay ?? 0.1;
+        this.release = this.options.release ?? 0.5;
+        this.maxRiseFrames = this.options.maxRiseFrames || 4;
+        this.phase = "idle";
+        this.peak = 0.0;
+        this.riseFrames = 0;
+    }
+
+    decide(probability, threshold) {
+        if (this.phase === "latched") {
+            if (probability < threshold * this.release) {
+                this.phase = "idle";
+            }
+            return false;
+        }
+        if (this.phase === "idle") {
+            if (probability < threshold) {
+                return false;
+            }
+            this.phase = "rising";
+            this.peak = probability;
+            this.riseFrames = 0;
+            return false;
+        }
+        // Rising
+        this.riseFrames++;
+        this.peak = Math.max(this.peak, probability);
+        const pastPeak = probability < threshold || probability <= this.peak * (1 - this.decay);
+        if (pastPeak || this.riseFrames >= this.maxRiseFrames) {
+            this.phase = probability < threshold * this.release ? "idle" : "latched";
+            return true;
+        }
+        return false;
+    }
+
+    reset() {
+        super.reset();
+        this.phase = "idle";
+        this.peak = 0.0;
+        this.riseFrames = 0;
+    }
+
+    getState() {
+        return { ...super.getState(), phase: this.phase, peak: this.peak };
+    }
+}
+
+/**
+ * Collapses the frames in which a wake word is detected into detections. Consecutive detected frames
+ * extend one detection, and a new one starts no sooner than `cooldown` seconds after the start of the
+ * previous one; a run of detected frames that begins within the cooldown starts one once it has passed.
+ */
+export class DetectionCollapser {
+    /**
+     * @param {string} name - Name of the wake word.
+     * @param {number} cooldown - Minimum number of seconds between the starts of detections.
+     */
+    constructor(name, cooldown) {
+        this.name = name;
+        this.cooldown = cooldown;
+        this.detection = null; // The latest detection
+        this.open = false; // Whether the latest detection is still being extended
+    }
+
+    /**
+     * Feeds the decision for the next frame.
+     * @param {number} time - Time of the frame in seconds.
+     * @param {number} probability - The model's probability for the frame.
+     * @param {boolean} detected - Whether the wake word is detected in the frame.
+     * @returns {Object|null} - The detection started by this frame, `{ name, start, end, peakTime, peakProbability }`, or null.
+     */
+    update(time, probability, detected) {
+        if (!detected) {
+            this.open = false;
+            return null;
+        }
+        if (this.open) {
+            this.detection.end = time;
+            if (probability > this.detection.peakProbability) {
+                this.detection.peakProbability = probability;
+                this.detection.peakTime = time;
+            }
+            return null;
+        }
+        if (this.detection !== null && time - this.detection.start < this.cooldown) {
+            return null;
+        }
+        this.detection = { name: this.name, start: time, end: time, peakTime: time, peakProbability: probability };
+        this.open = true;
+        return this.detection;
+    }
+}
+
+/**
+ * Strategies by type, the value of a wake word's `strategy` setting.
+ * Register a subclass of DetectionStrategy here to make it selectable; a HeyBuddy running
+ * in a worker only knows the strategies registered in the worker.
+ * @type {Object<string, typeof DetectionStrategy>}
+ */
+export const DETECTION_STRATEGIES = {
+    threshold: ThresholdStrategy,
+    nOfM: NOfMStrategy,
+    movingAverage: MovingAverageStrategy,
+    hysteresis: HysteresisStrategy,
+};
+
+/**
+ * Creates a strategy from a wake word's `strategy` setting.
+ * @param {string|Object} [config="threshold"] - A type, or `{ type, ...options }`.
+ * @returns {DetectionStrategy} - The strategy.
+ * @throws {Error} - If the type is unknown.
+ */
+export function createDetectionStrategy(config) {
+    const { type, ...options } = typeof config === "string" ? { type: config } : (config || { type: "threshold" });
+    const Strategy = DETECTION_STRATEGIES[type];
+    if (!Strategy) {
+        throw new Error(`Unknown detection strategy "${type}"`);
+    }
+    return new Strategy(options);
+}
+
+/**
+ * Summarizes a strategy state in a few characters, e.g. `2/3 of 3` or `avg 0.42/0.50`.
+ * @param {Object} state - As returned by DetectionStrategy.getState.
+ * @returns {string} - The summary.
+ */
+export function describeDetectionState(state) {
+    if (!state) {
+        return "";
+    }
+    const value = (number) => number.toFixed(2);
+    switch (state.type) {
+        case "nOfM":
+            return `${state.count}/${state.n} of ${state.m}`;
+        case "movingAverage":
+            return `avg ${value(state.average)}/${value(state.threshold)}`;
+        case "hysteresis":
+            return `${state.phase} ${value(state.phase === "idle" ? state.probability : state.peak)}/${value(state.threshold)}`;
+        default:
+            return `${value(state.probability)}/${value(state.threshold)}`;
+    }
+}
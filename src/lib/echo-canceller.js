@@ -0,0 +1,301 @@
+/** @module echo-canceller */
+import { toDecibels } from "./helpers.js";
+
+/**
+ * Shifts a history buffer back by the length of new samples and appends them, like AudioBatcher does.
+ * @param {Float32Array} buffer - The history.
+ * @param {Float32Array|null} samples - The new samples, null for silence of `length` samples.
+ * @param {number} length - Number of new samples.
+ */
+function append(buffer, samples, length) {
+    buffer.copyWithin(0, length);
+    if (samples === null) {
+        buffer.fill(0, buffer.length - length);
+    } else {
+        buffer.set(samples.subarray(0, length), buffer.length - length);
+    }
+}
+
+/**
+ * Removes the echo of a known playback signal, e.g. the assistant's voice, from microphone audio.
+ *
+ * The reference (what the speakers play) reaches the microphone late and filtered by the room.
+ * The bulk delay is found by cross-correlating the two signals while only the reference is active,
+ * and an NLMS filter learns the rest of the echo path over `taps` samples after that delay.
+ * The filter's estimate of the echo is subtracted from the microphone, and what is left while only
+ * the reference is active is attenuated further. Adaptation stops while someone talks over the
+ * playback (a Geigel double-talk detector), so barge-in speech is neither learned nor suppressed.
+ */
+export class EchoCanceller {
+    /**
+     * @param {Object} [options] - Options object.
+     * @param {boolean} [options.enabled=true] - Whether to cancel echo, when off audio passes through but metrics are still kept.
+     * @param {number} [options.sampleRate=16000] - Sample rate of both signals.
+     * @param {number} [options.taps=512] - Length of the adaptive filter in samples, how much of the echo tail it models.
+     * @param {number} [options.stepSize=0.3] - NLMS step size, larger adapts faster but is noisier.
+     * @param {number} [options.maxDelaySeconds=0.3] - Longest bulk delay between playback and microphone searched for.
+     * @param {number} [options.delayEstimationSeconds=1.0] - Seconds of echo looked at per delay estimate, 0 keeps the delay at zero.
+     * @param {number} [options.residualSuppression=0.1] - Gain applied to what is left of the echo while only the reference is active, 1 for none.
+     * @param {number} [options.doubleTalkThreshold=0.5] - Microphone peak, relative to the reference peak, above which near-end speech is assumed.
+     * @param {number} [options.referenceThreshold=-50] - Reference level in dBFS above which it counts as playing.
+     * @param {boolean} [options.debug=false] - Whether to log debug messages.
+     */
+    constructor(options) {
+        options = options || {};
+        this.enabled = options.enabled ?? true;
+        this.sampleRate = options.sampleRate || 16000;
+        this.taps = options.taps || 512;
+        this.stepSize = options.stepSize ?? 0.3;
+        this.maxDelaySamples = Math.floor((options.maxDelaySeconds ?? 0.3) * this.sampleRate);
+        this.estimationSamples = Math.floor((options.delayEstimationSeconds ?? 1.0) * this.sampleRate);
+        this.residualSuppression = options.residualSuppression ?? 0.1;
+        this.doubleTalkThreshold = options.doubleTalkThreshold ?? 0.5;
+        this.referenceThreshold = options.referenceThreshold ?? -50;
+        this.debug = options.debug || false;
+        this.maxFrameSamples = 2048; // Longer frames are processed in pieces
+        this.metricsEmaWeight = 0.1;
+        this.weights = new Float32Array(this.taps);
+        // The reference must reach back over the delay and the filter, or the delay search window
+        this.reference = new Float32Array(
+            this.maxDelaySamples + Math.max(this.taps, this.estimationSamples) + this.maxFrameSamples
+        );
+        this.microphone = new Float32Array(Math.max(this.estimationSamples, this.maxFrameSamples));
+        this.delay = 0;
+        this.gain = 1.0; // Residual suppression gain at the end of the last frame
+        this.reset();
+    }
+
+    /**
+     * Forgets the learnt echo path and the metrics, e.g. when the audio route changes.
+     */
+    reset() {
+        this.weights.fill(0);
+        this.reference.fill(0);
+        this.microphone.fill(0);
+        this.delay = 0;
+        this.gain = 1.0;
+        this.estimationProgress = 0; // Echo-only samples since the last delay estimate
+        this.referenceActive = false;
+        this.doubleTalk = false;
+        this.metrics = {
+            echoFrames: 0,
+            microphoneEnergy: 0, // While only the reference is active
+            errorEnergy: 0, // After the filter, before suppression
+            residualEnergy: 0, // What is passed on
+        };
+    }
+
+    /**
+     * Turns cancellation on or off. The filter keeps what it learnt while off.
+     * @param {boolean} enabled - Whether to cancel echo.
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.gain = 1.0;
+    }
+
+    /**
+     * Removes the echo from a frame of microphone audio.
+     * @param {Float32Array} samples - The microphone frame.
+     * @param {Float32Array|null} reference - What was played during the frame, same length, null for silence.
+     * @returns {Float32Array} The microphone frame without the echo.
+     */
+    process(samples, reference) {
+        if (samples.length > this.maxFrameSamples) {
+            const output = new Float32Array(samples.length);
+            for (let start = 0; start < samples.length; start += this.maxFrameSamples) {
+                const end = Math.min(start + this.maxFrameSamples, samples.length);
+                output.set(this.process(samples.subarray(start, end), reference ? reference.subarray(start, end) : null), start);
+            }
+            return output;
+        }
+        const length = samples.length;
+        append(this.reference, reference, length);
+        append(this.microphone, samples, length);
+
+        // The part of the reference that can echo into this frame
+        const end = this.reference.length - this.delay;
+        let referencePeak = 0.0;
+        let referenceEnergy = 0.0;
+        for (let i = end - length - this.taps; i < end; i++) {
+            referencePeak = Math.max(referencePeak, Math.abs(this.reference[i]));
+            referenceEnergy += this.reference[i] * this.reference[i];
+        }
+        let microphonePeak = 0.0;
+        for (let i = 0; i < length; i++) {
+            microphonePeak = Math.max(microphonePeak, Math.abs(samples[i]));
+        }
+        this.referenceActive = toDecibels(referenceEnergy / (length + this.taps)) > this.referenceThreshold;
+        this.doubleTalk = this.referenceActive && microphonePeak > this.doubleTalkThreshold * referencePeak;
+        const echoOnly = this.referenceActive && !this.doubleTalk;
+
+        const error = this.enabled ? this.cancel(samples, echoOnly) : samples;
+        const output = this.enabled ? this.suppress(error, echoOnly) : samples;
+
+        if (echoOnly) {
+            this.updateMetrics(samples, error, output);
+            if (this.estimationSamples > 0) {
+                this.estimationProgress += length;
+                if (this.estimationProgress >= this.estimationSamples) {
+                    this.estimationProgress = 0;
+                    this.estimateDelay();
+                }
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Subtracts the filter's estimate of the echo, adapting the filter if only the reference is active.
+     * @param {Float32Array} samples - The microphone frame.
+     * @param {boolean} adapt - Whether the filter learns from this frame.
+     * @returns {Float32Array} The error signal, the microphone minus the estimated echo.
+     */
+    cancel(samples, adapt) {
+        const length = samples.length;
+        const error = new Float32Array(length);
+        // Reference sample aligned with the first microphone sample of the frame
+        const first = this.reference.length - length - this.delay;
+        for (let i = 0; i < length; i++) {
+            const newest = first + i;
+            let estimate = 0.0;
+            let energy = 0.0;
+            for (let k = 0; k < this.taps; k++) {
+                const x = this.reference[newest - k];
+                estimate += this.weights[k] * x;
+                energy += x * x;
+            }
+            const e = samples[i] - estimate;
+            error[i] = e;
+            if (adapt) {
+                const step = this.stepSize * e / (energy + 1e-6);
+                for (let k = 0; k < this.taps; k++) {
+                    this.weights[k] += step * this.reference[newest - k];
+                }
+            }
+        }
+        return error;
+    }
+
+    /**
+     * Attenuates what is left of the echo while only the reference is active,
+     * ramping the gain over the frame so it does not click.
+     * @param {Float32Array} error - The error signal.
+     * @param {boolean} echoOnly - Whether only the reference is active.
+     * @returns {Float32Array} The suppressed signal.
+     */
+    suppress(error, echoOnly) {
+        const target = echoOnly ? this.residualSuppression : 1.0;
+        if (target === 1.0 && this.gain === 1.0) {
+            return error;
+        }
+        const output = new Float32Array(error.length);
+        for (let i = 0; i < error.length; i++) {
+            output[i] = error[i] * (this.gain + (target - this.gain) * (i + 1) / error.length);
+        }
+        this.gain = target;
+        return output;
+    }
+
+    /**
+     * Finds the bulk delay between the reference and the microphone by cross-correlating
+     * the last `delayEstimationSeconds` of both, decimated by 4 to keep it cheap.
+     * The filter starts over when the delay moves by more than a quarter of its length.
+     */
+    estimateDelay() {
+        const factor = 4;
+        const count = Math.floor(this.microphone.length / factor);
+        const maxLag = Math.floor(this.maxDelaySamples / factor);
+        const decimate = (buffer, end, n) => {
+            const result = new Float32Array(n);
+            for (let i = 0; i < n; i++) {
+                let sum = 0.0;
+                for (let j = 0; j < factor; j++) {
+                    sum += buffer[end - (n - i) * factor + j];
+                }
+                result[i] = sum / factor;
+            }
+            return result;
+        };
+        const microphone = decimate(this.microphone, this.microphone.length, count);
+        const reference = decimate(this.reference, this.reference.length, count + maxLag);
+
+        let microphoneEnergy = 0.0;
+        for (let i = 0; i < count; i++) {
+            microphoneEnergy += microphone[i] * microphone[i];
+        }
+        // Energy of the reference window for lag 0, slid back one sample per lag
+        let referenceEnergy = 0.0;
+        for (let i = maxLag; i < count + maxLag; i++) {
+            referenceEnergy += reference[i] * reference[i];
+        }
+        let bestLag = 0;
+        let bestCorrelation = 0.0;
+        for (let lag = 0; lag <= maxLag; lag++) {
+            if (lag > 0) {
+                const entering = reference[maxLag - lag];
+                const leaving = reference[count + maxLag - lag];
+                referenceEnergy += entering * entering - leaving * leaving;
+            }
+            let sum = 0.0;
+            for (let i = 0; i < count; i++) {
+                sum += microphone[i] * reference[i + maxLag - lag];
+            }
+            const correlation = sum / Math.sqrt(microphoneEnergy * Math.max(referenceEnergy, 0) + 1e-12);
+            if (correlation > bestCorrelation) {
+                bestCorrelation = correlation;
+                bestLag = lag;
+            }
+        }
+        if (bestCorrelation < 0.2) {
+            // Too little echo, or someone talking, to tell
+            return;
+        }
+        // Leave some of the filter before the peak, for the delay being slightly off
+        const delay = Math.max(0, bestLag * factor - Math.floor(this.taps / 8));
+        if (Math.abs(delay - this.delay) > this.taps / 4) {
+            if (this.debug) {
+                console.log(`Echo delay ${(1000 * delay / this.sampleRate).toFixed(1)}ms (correlation ${bestCorrelation.toFixed(2)})`);
+            }
+            this.delay = delay;
+            this.weights.fill(0);
+        }
+    }
+
+    /**
+     * Updates the echo levels with a frame where only the reference is active.
+     * @param {Float32Array} samples - The microphone frame.
+     * @param {Float32Array} error - The frame after the filter.
+     * @param {Float32Array} output - The frame passed on.
+     */
+    updateMetrics(samples, error, output) {
+        const meanSquare = (data) => data.reduce((sum, value) => sum + value * value, 0.0) / data.length;
+        const weight = this.metrics.echoFrames === 0 ? 1.0 : this.metricsEmaWeight;
+        const ema = (previous, value) => previous * (1 - weight) + value * weight;
+        this.metrics.microphoneEnergy = ema(this.metrics.microphoneEnergy, meanSquare(samples));
+        this.metrics.errorEnergy = ema(this.metrics.errorEnergy, meanSquare(error));
+        this.metrics.residualEnergy = ema(this.metrics.residualEnergy, meanSquare(output));
+        this.metrics.echoFrames++;
+    }
+
+    /**
+     * Reports how much echo is removed, measured over frames where only the reference is active.
+     * `erle` (echo return loss enhancement) is what the filter removes, `suppression` what is
+     * removed in total, both in dB; `residualEchoLevel` is the level of the echo passed on in dBFS.
+     * @returns {Object} - `{ enabled, referenceActive, doubleTalk, delay, echoFrames, echoLevel, residualEchoLevel, erle, suppression }`, delay in ms.
+     */
+    getMetrics() {
+        const { echoFrames, microphoneEnergy, errorEnergy, residualEnergy } = this.metrics;
+        return {
+            enabled: this.enabled,
+            referenceActive: this.referenceActive,
+            doubleTalk: this.doubleTalk,
+            delay: 1000 * this.delay / this.sampleRate,
+            echoFrames,
+            echoLevel: echoFrames > 0 ? toDecibels(microphoneEnergy) : null,
+            residualEchoLevel: echoFrames > 0 ? toDecibels(residualEnergy) : null,
+            erle: echoFrames > 0 ? toDecibels(microphoneEnergy) - toDecibels(errorEnergy) : null,
+            suppression: echoFrames > 0 ? toDecibels(microphoneEnergy) - toDecibels(residualEnergy) : null,
+        };
+    }
+}
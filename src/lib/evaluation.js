@@ -0,0 +1,179 @@
+/** @module evaluation */
+import { createDetectionStrategy, DetectionCollapser } from "./detection.js";
+
+/**
+ * Label used for clips that contain no wake word at all.
+ * @type {string}
+ */
+export const NEGATIVE_LABEL = "negative";
+
+/**
+ * Counts the detections a wake word would produce in a probability trace at a given threshold.
+ * The probabilities are run through a fresh instance of the wake word's detection strategy, as while listening.
+ * Detected windows are collapsed into detections with the cooldown `interval` as `HeyBuddy.scan` does, see DetectionCollapser.
+ * @param {Object[]} frames - Frames from `HeyBuddy.scan` with `includeFrames` enabled.
+ * @param {string} name - Name of the wake word.
+ * @param {number} threshold - Detection threshold.
+ * @param {number} interval - Minimum number of seconds between detections.
+ * @param {string|Object} [strategy="threshold"] - The wake word's detection strategy setting, see createDetectionStrategy.
+ * @returns {number} The number of detections.
+ */
+export function countDetections(frames, name, threshold, interval, strategy = "threshold") {
+    const detector = createDetectionStrategy(strategy);
+    const collapser = new DetectionCollapser(name, interval);
+    let count = 0;
+    for (const frame of frames) {
+        const probability = frame.wakeWords[name] || 0.0;
+        if (collapser.update(frame.time, probability, detector.update(probability, threshold)) !== null) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Builds the list of thresholds to sweep.
+ * @param {number} step - Distance between thresholds.
+ * @returns {number[]} Thresholds in (0, 1).
+ */
+function sweepThresholds(step) {
+    const thresholds = [];
+    for (let i = 1; i * step < 1.0; i++) {
+        thresholds.push(Math.round(i * step * 1000) / 1000);
+    }
+    return thresholds;
+}
+
+/**
+ * Computes false-reject and false-accept metrics for one wake word at one threshold.
+ * @param {Object[]} scans - Scanned clips, `{ label, result }`.
+ * @param {string} name - Name of the wake word.
+ * @param {number} threshold - Detection threshold.
+ * @returns {Object} The metrics at this threshold.
+ */
+function metricsAtThreshold(scans, name, threshold) {
+    let positives = 0;
+    let falseRejects = 0;
+    let falseAccepts = 0;
+    let negativeSeconds = 0;
+    for (const { label, result } of scans) {
+        const count = countDetections(result.frames, name, threshold, result.cooldowns[name], result.strategies[name]);
+        if (label === name) {
+            positives++;
+            if (count === 0) {
+                falseRejects++;
+            }
+        } else if (label === NEGATIVE_LABEL) {
+            falseAccepts += count;
+            negativeSeconds += result.duration;
+        }
+    }
+    return {
+        threshold,
+        positives,
+        falseRejects,
+        falseRejectRate: positives > 0 ? falseRejects / positives : null,
+        falseAccepts,
+        falseAcceptsPerHour: negativeSeconds > 0 ? falseAccepts / (negativeSeconds / 3600) : null,
+    };
+}
+
+/**
+ * Evaluates every wake word model against labeled clips.
+ * Clips labeled with a wake word name are positives for that model, clips labeled
+ * `negative` are background audio for all models; other labels are ignored per model.
+ * @param {HeyBuddy} heyBuddy - Instance whose models are evaluated.
+ * @param {Object[]} clips - Clips, `{ name, label, audio, sampleRate }`.
+ * @param {Object} [options] - Options object.
+ * @param {number} [options.thresholdStep=0.05] - Distance between swept thresholds.
+ * @param {number} [options.targetFalseAcceptsPerHour=1] - Budget used to recommend a threshold.
+ * @param {boolean} [options.gateOnSpeech=true] - Only run wake words during speech, like live processing.
+ * @param {Function} [options.onProgress] - Called with `(completed, total, clipName)` after each clip.
+ * @returns {Promise<Object>} Promise that resolves to `{ createdAt, clips, models }`.
+ */
+export async function evaluateWakeWords(heyBuddy, clips, options) {
+    options = options || {};
+    const thresholdStep = options.thresholdStep || 0.05;
+    const targetFalseAcceptsPerHour = options.targetFalseAcceptsPerHour ?? 1;
+
+    // Scan every labeled clip once, the sweep only re-reads the probability traces
+    const scans = [];
+    const labeledClips = clips.filter((clip) => clip.label);
+    for (const clip of labeledClips) {
+        const result = await heyBuddy.scan(clip.audio, clip.sampleRate, {
+            includeFrames: true,
+            gateOnSpeech: options.gateOnSpeech,
+        });
+        scans.push({ name: clip.name, label: clip.label, result });
+        if (options.onProgress) {
+            options.onProgress(scans.length, labeledClips.length, clip.name);
+        }
+    }
+
+    const thresholds = sweepThresholds(thresholdStep);
+    const models = {};
+    const names = scans.length > 0 ? Object.keys(scans[0].result.thresholds) : [];
+    for (const name of names) {
+        const currentThreshold = scans[0].result.thresholds[name];
+        const sweep = thresholds.map((threshold) => metricsAtThreshold(scans, name, threshold));
+
+        // Lowest false-reject rate within the false-accept budget, preferring higher thresholds on ties
+        let recommendedThreshold = null;
+        let bestRejectRate = Infinity;
+        for (const point of sweep) {
+            if (point.falseAcceptsPerHour !== null && point.falseAcceptsPerHour > targetFalseAcceptsPerHour) {
+                continue;
+            }
+            const rejectRate = point.falseRejectRate ?? 0;
+            if (rejectRate <= bestRejectRate) {
+                bestRejectRate = rejectRate;
+                recommendedThreshold = point.threshold;
+            }
+        }
+
+        models[name] = {
+            current: metricsAtThreshold(scans, name, currentThreshold),
+            recommendedThreshold,
+            sweep,
+        };
+    }
+
+    return {
+        createdAt: new Date().toISOString(),
+        targetFalseAcceptsPerHour,
+        clips: scans.map(({ name, label, result }) => ({
+            name,
+            label,
+            duration: result.duration,
+            peakProbabilities: names.reduce((carry, model) => {
+                carry[model] = result.frames.reduce((peak, frame) => Math.max(peak, frame.wakeWords[model] || 0.0), 0.0);
+                return carry;
+            }, {}),
+            detections: result.detections,
+        })),
+        models,
+    };
+}
+
+/**
+ * Serializes the threshold sweeps of an evaluation as CSV.
+ * @param {Object} evaluation - Result of `evaluateWakeWords`.
+ * @returns {string} CSV with one row per model and threshold.
+ */
+export function evaluationToCSV(evaluation) {
+    const rows = [["model", "threshold", "positives", "false_rejects", "false_reject_rate", "false_accepts", "false_accepts_per_hour"]];
+    for (const [name, model] of Object.entries(evaluation.models)) {
+        for (const point of model.sweep) {
+            rows.push([
+                name,
+                point.threshold,
+                point.positives,
+                point.falseRejects,
+                point.falseRejectRate ?? "",
+                point.falseAccepts,
+                point.falseAcceptsPerHour ?? "",
+            ]);
+        }
+    }
+    return rows.map((row) => row.join(",")).join("\n");
+}
@@ -0,0 +1,111 @@
+/** @module events */
+
+/**
+ * A minimal event emitter whose subscriptions can be undone.
+ * Listeners are called synchronously in the order they were added.
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = {};
+        this.anyListeners = [];
+    }
+
+    /**
+     * Adds a listener.
+     * @param {string} type - Event name.
+     * @param {Function} listener - Called with the event arguments.
+     * @returns {Function} A function that removes the listener.
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Adds a listener that is removed after its first call.
+     * @param {string} type - Event name.
+     * @param {Function} listener - Called with the event arguments.
+     * @returns {Function} A function that removes the listener.
+     */
+    once(type, listener) {
+        const wrapper = (...args) => {
+            this.off(type, wrapper);
+            listener(...args);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Removes a listener, either the function given to `on`/`once` or one wrapping it.
+     * @param {string} type - Event name.
+     * @param {Function} listener - The listener to remove.
+     */
+    off(type, listener) {
+        if (!this.listeners[type]) {
+            return;
+        }
+        this.listeners[type] = this.listeners[type].filter(
+            (l) => l !== listener && l.listener !== listener
+        );
+    }
+
+    /**
+     * Adds a listener for every event, e.g. to forward them elsewhere.
+     * @param {Function} listener - Called with the event name, then the event arguments.
+     * @returns {Function} A function that removes the listener.
+     */
+    onAny(listener) {
+        this.anyListeners.push(listener);
+        return () => {
+            this.anyListeners = this.anyListeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Removes all listeners, or all listeners of one event.
+     * @param {string} [type] - Event name.
+     */
+    removeAllListeners(type) {
+        if (type === undefined) {
+            this.listeners = {};
+            this.anyListeners = [];
+        } else {
+            delete this.listeners[type];
+        }
+    }
+
+    /**
+     * Calls every listener of an event.
+     * A listener that throws does not stop the others; the exception is emitted as an `error` event.
+     * An `error` event without listeners is logged instead of being lost.
+     * @param {string} type - Event name.
+     * @param {...Mixed} args - Arguments passed to the listeners.
+     */
+    emit(type, ...args) {
+        const listeners = this.listeners[type] || [];
+        if (type === "error" && listeners.length === 0 && this.anyListeners.length === 0) {
+            console.error(...args);
+            return;
+        }
+        // Copy, so listeners can unsubscribe while being called
+        const calls = [
+            ...listeners.map((listener) => () => listener(...args)),
+            ...this.anyListeners.map((listener) => () => listener(type, ...args)),
+        ];
+        for (const call of calls) {
+            try {
+                call();
+            } catch (error) {
+                if (type === "error") {
+                    console.error(`Error in "error" listener:`, error);
+                } else {
+                    this.emit("error", error);
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,267 @@
+/** @module feature-stream */
+import { ONNX } from "./onnx.js";
+
+/**
+ * Computes the speech embeddings of a sliding window of audio, reusing the mel frames
+ * and embeddings of earlier windows that overlap it.
+ *
+ * Mel frames only depend on their own samples, so a frame is cached by the absolute sample
+ * position it starts at; for a window that moved by a multiple of the mel step, only the
+ * frames at its end are new. Embeddings are cached the same way, by the position of their
+ * first mel frame. They are placed on a grid of `windowStride` mel frames counted from the start
+ * of the stream, the newest that fit in the window, so windows share them whatever the hop;
+ * the live hop of 12 mel frames is not a multiple of the stride of 8. A full computation of
+ * a window lays its embeddings out the same way, so wake word models see the same input either way.
+ * Positions that do not line up (a gap in the stream, an irregular hop) simply miss the cache
+ * and are computed in full.
+ */
+export class FeatureStream {
+    /**
+     * @param {MelSpectrogram} spectrogram - The mel spectrogram model.
+     * @param {SpeechEmbedding} embedding - The speech embedding model.
+     * @param {Object} [options] - Options object.
+     * @param {number} [options.melBins=32] - Number of mel bins per frame.
+     * @param {number} [options.melStep=160] - Samples between the starts of consecutive mel frames.
+     * @param {boolean} [options.incremental=true] - Whether to reuse earlier frames, false computes every window in full.
+     * @param {boolean} [options.verify=true] - Whether to check the first incremental window against a full computation.
+     * @param {boolean} [options.debug=false] - Whether to log debug messages.
+     */
+    constructor(spectrogram, embedding, options) {
+        options = options || {};
+        this.spectrogram = spectrogram;
+        this.embedding = embedding;
+        this.melBins = options.melBins || 32;
+        this.melStep = options.melStep || 160;
+        this.incremental = options.incremental !== false;
+        this.verify = options.verify !== false;
+        this.debug = options.debug || false;
+        this.framesPerWindow = {}; // Number of mel frames, keyed by window length
+        this.melFrames = new Map(); // Absolute start sample => Float32Array of melBins
+        this.embeddings = new Map(); // Absolute start sample of the first mel frame => Float32Array of embeddingDim
+        this.stats = {
+            melFramesComputed: 0,
+            melFramesReused: 0,
+            embeddingsComputed: 0,
+            embeddingsReused: 0,
+        };
+    }
+
+    /**
+     * Forgets all cached frames, e.g. when the stream restarts.
+     */
+    reset() {
+        this.melFrames.clear();
+        this.embeddings.clear();
+    }
+
+    /**
+     * Computes the speech embeddings of a window of audio.
+     * @param {Float32Array} window - The window's samples.
+     * @param {number} [endSample] - Absolute position of the sample after the window, without it nothing is reused.
+     * @returns {Promise<Object>} - Promise that resolves to the embedding tensor, `[windows, embeddingDim]`.
+     */
+    async compute(window, endSample) {
+        if (endSample === undefined || endSample === null) {
+            const spectrograms = await this.spectrogram.run(window);
+            return await this.embedding.getEmbeddingFromMelSpectrogramOutput(spectrograms);
+        }
+
+        const windowStart = endSample - window.length;
+        if (!this.incremental) {
+            return await this.computeFull(window, windowStart);
+        }
+        const reusing = this.melFrames.size > 0;
+        const mel = await this.computeMelFrames(window, windowStart);
+        const embeddings = await this.computeEmbeddings(mel, windowStart);
+
+        // The first time frames are reused, make sure they match a full computation
+        if (this.verify && reusing) {
+            this.verify = false;
+            await this.verifyAgainstFull(window, windowStart, embeddings);
+        }
+        return embeddings;
+    }
+
+    /**
+     * Finds the mel frame a window's embeddings start at: on the grid of `windowStride` frames from
+     * the start of the stream, as late as still fits the number of embeddings SpeechEmbedding gets
+     * from the window. Windows off the grid, or without room to move, start at their first frame.
+     * @param {number} numFrames - Number of mel frames in the window.
+     * @param {number} windowStart - Absolute position of the window's first sample.
+     * @returns {number} - Index in the window of the first embedding's first mel frame.
+     */
+    firstEmbeddingFrame(numFrames, windowStart) {
+        const { windowSize, windowStride } = this.embedding;
+        const gridSamples = windowStride * this.melStep;
+        const phase = ((windowStart % gridSamples) + gridSamples) % gridSamples;
+        if (phase % this.melStep !== 0) {
+            return 0;
+        }
+        const gridFrame = ((gridSamples - phase) % gridSamples) / this.melStep; // First frame on the grid
+        const slack = (numFrames - windowSize) % windowStride; // Frames SpeechEmbedding leaves unused at the end
+        const first = slack - ((slack - gridFrame) % windowStride + windowStride) % windowStride;
+        return first >= 0 ? first : 0;
+    }
+
+    /**
+     * Computes the embeddings of a window without the cache, laid out like computeEmbeddings does.
+     * @param {Float32Array} window - The window's samples.
+     * @param {number} windowStart - Absolute position of the window's first sample.
+     * @returns {Promise<Object>} - Promise that resolves to the embedding tensor.
+     */
+    async computeFull(window, windowStart) {
+        const spectrograms = await this.spectrogram.run(window);
+        const numFrames = spectrograms.dims[2];
+        const first = this.firstEmbeddingFrame(numFrames, windowStart);
+        const mel = await ONNX.createTensor(
+            "float32",
+            spectrograms.data.slice(first * this.melBins, numFrames * this.melBins),
+            [numFrames - first, this.melBins]
+        );
+        return await this.embedding.run(mel);
+    }
+
+    /**
+     * Gets the mel frames of a window, computing only those not cached.
+     * @param {Float32Array} window - The window's samples.
+     * @param {number} windowStart - Absolute position of the window's first sample.
+     * @returns {Promise<Float32Array>} - Promise that resolves to the frames, `numFrames * melBins` values.
+     */
+    async computeMelFrames(window, windowStart) {
+        let numFrames = this.framesPerWindow[window.length];
+        if (numFrames === undefined) {
+            // Learn the frame count from a full run, which also fills the cache
+            const spectrograms = await this.spectrogram.run(window);
+            numFrames = spectrograms.dims[2];
+            this.framesPerWindow[window.length] = numFrames;
+            this.storeMelFrames(spectrograms.data, windowStart, 0, numFrames);
+            this.stats.melFramesComputed += numFrames;
+        } else {
+            // Frames are missing from the end, compute from the first missing one to the end of the window
+            let firstMissing = numFrames;
+            while (firstMissing > 0 && !this.melFrames.has(windowStart + (firstMissing - 1) * this.melStep)) {
+                firstMissing--;
+            }
+            for (let i = 0; i < firstMissing; i++) {
+                if (!this.melFrames.has(windowStart + i * this.melStep)) {
+                    firstMissing = 0; // A hole in the middle, recompute the window
+                    break;
+                }
+            }
+            if (firstMissing < numFrames) {
+                // A slice starting on a frame boundary yields exactly the window's frames from there on
+                const spectrograms = await this.spectrogram.run(window.subarray(firstMissing * this.melStep));
+                this.storeMelFrames(spectrograms.data, windowStart, firstMissing, numFrames - firstMissing);
+            }
+            this.stats.melFramesComputed += numFrames - firstMissing;
+            this.stats.melFramesReused += firstMissing;
+        }
+
+        const frames = new Float32Array(numFrames * this.melBins);
+        for (let i = 0; i < numFrames; i++) {
+            frames.set(this.melFrames.get(windowStart + i * this.melStep), i * this.melBins);
+        }
+        // Frames before this window are never needed again
+        for (const start of this.melFrames.keys()) {
+            if (start < windowStart) {
+                this.melFrames.delete(start);
+            }
+        }
+        return frames;
+    }
+
+    /**
+     * Caches computed mel frames.
+     * @param {Float32Array} data - Frames as returned by the model.
+     * @param {number} windowStart - Absolute position of the window's first sample.
+     * @param {number} firstFrame - Index in the window of the first frame in `data`.
+     * @param {number} count - Number of frames to store.
+     */
+    storeMelFrames(data, windowStart, firstFrame, count) {
+        for (let i = 0; i < count; i++) {
+            this.melFrames.set(
+                windowStart + (firstFrame + i) * this.melStep,
+                data.slice(i * this.melBins, (i + 1) * this.melBins)
+            );
+        }
+    }
+
+    /**
+     * Gets the embeddings of a window, computing only those not cached.
+     * Embedding windows are laid out as SpeechEmbedding.execute lays them out, from the frame
+     * given by firstEmbeddingFrame.
+     * @param {Float32Array} mel - The window's mel frames.
+     * @param {number} windowStart - Absolute position of the window's first sample.
+     * @returns {Promise<Object>} - Promise that resolves to the embedding tensor.
+     */
+    async computeEmbeddings(mel, windowStart) {
+        const { windowSize, windowStride, embeddingDim } = this.embedding;
+        const numFrames = mel.length / this.melBins;
+        const firstFrame = this.firstEmbeddingFrame(numFrames, windowStart);
+        const numWindows = Math.floor((numFrames - firstFrame - windowSize) / windowStride) + 1;
+        const keys = [];
+        for (let i = 0; i < numWindows; i++) {
+            keys.push(windowStart + (firstFrame + i * windowStride) * this.melStep);
+        }
+
+        const missing = keys.map((key, i) => this.embeddings.has(key) ? -1 : i).filter((i) => i >= 0);
+        if (missing.length > 0) {
+            // Run the span from the first to the last missing window, which may include some cached ones
+            const first = missing[0];
+            const last = missing[missing.length - 1];
+            const spanFrames = (last - first) * windowStride + windowSize;
+            const spanStart = firstFrame + first * windowStride;
+            const span = await ONNX.createTensor(
+                "float32",
+                mel.slice(spanStart * this.melBins, (spanStart + spanFrames) * this.melBins),
+                [spanFrames, this.melBins]
+            );
+            const output = await this.embedding.run(span);
+            for (let i = first; i <= last; i++) {
+                const offset = (i - first) * embeddingDim;
+                this.embeddings.set(keys[i], output.data.slice(offset, offset + embeddingDim));
+            }
+            this.stats.embeddingsComputed += last - first + 1;
+            this.stats.embeddingsReused += numWindows - (last - first + 1);
+        } else {
+            this.stats.embeddingsReused += numWindows;
+        }
+
+        const embeddings = await ONNX.createTensor(
+            "float32",
+            new Float32Array(numWindows * embeddingDim),
+            [numWindows, embeddingDim]
+        );
+        for (let i = 0; i < numWindows; i++) {
+            embeddings.data.set(this.embeddings.get(keys[i]), i * embeddingDim);
+        }
+        for (const start of this.embeddings.keys()) {
+            if (start < windowStart) {
+                this.embeddings.delete(start);
+            }
+        }
+        return embeddings;
+    }
+
+    /**
+     * Compares incrementally computed embeddings with a full computation of the same window,
+     * turning incremental mode off if they differ, e.g. with a mel model that is not frame-local.
+     * @param {Float32Array} window - The window's samples.
+     * @param {number} windowStart - Absolute position of the window's first sample.
+     * @param {Object} embeddings - The incrementally computed embedding tensor.
+     */
+    async verifyAgainstFull(window, windowStart, embeddings) {
+        const full = await this.computeFull(window, windowStart);
+        let maxDifference = 0;
+        for (let i = 0; i < full.data.length; i++) {
+            maxDifference = Math.max(maxDifference, Math.abs(full.data[i] - embeddings.data[i]));
+        }
+        if (full.data.length !== embeddings.data.length || maxDifference > 1e-3) {
+            console.warn(`Incremental features differ from full computation (max difference ${maxDifference}), computing every window in full`);
+            this.incremental = false;
+            this.reset();
+        } else if (this.debug) {
+            console.log(`Incremental features match full computation (max difference ${maxDifference})`);
+        }
+    }
+}
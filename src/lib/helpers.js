@@ -23,3 +23,12 @@ export let isEmpty = (o) => {
 export let sleep = (ms) => {
     return new Promise(resolve => setTimeout(resolve, ms));
 };
+
+/**
+ * Converts a mean square to decibels relative to full scale.
+ * @param {number} energy - Mean of the squared samples.
+ * @returns {number} The level in dBFS, at least -120.
+ */
+export let toDecibels = (energy) => {
+    return Math.max(-120, 10 * Math.log10(energy + 1e-12));
+};
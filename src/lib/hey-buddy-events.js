@@ -0,0 +1,223 @@
+/** @module hey-buddy-events */
+import { EventEmitter } from "./events.js";
+
+/**
+ * Events emitted by HeyBuddy, with the argument passed to listeners.
+ * Subscribe with `on`, `once` or the `onX` helpers, which all return a function that unsubscribes.
+ * @typedef {Object} HeyBuddyEvents
+ * @property {{name: string, probability: number, bargeIn: boolean, transcript?: string, speaker: Object|null}} detected - A wake word was detected, and verified if verification is on; `bargeIn` while the assistant was speaking, `speaker` the matched profile if speakers are enrolled.
+ * @property {{listening: boolean, recording: boolean, speech: Object, wakeWords: Object, wakeWordTime: number, echo: Object, noise: Object}} processed - A batch of audio was analysed, with wake word timings in ms, echo cancellation metrics and the noise floor.
+ * Each wake word reports `{ probability, detected, frameDetected, latency, strategy }`, `strategy` being the state of its detection strategy.
+ * @property {void} speechStart - The VAD started hearing speech.
+ * @property {void} speechEnd - The VAD stopped hearing speech.
+ * @property {Float32Array} recording - A finished recording.
+ * @property {{duration: number, dispatched: boolean}} recordingTimeout - A recording hit the length limit; `dispatched` if it was sent rather than dropped.
+ * @property {{reason: string, duration: number}} recordingAborted - A recording was dropped.
+ * @property {{kind: string, name: string, duration: number}} modelLoaded - A model loaded and passed its self test.
+ * @property {{id: number, name: string, phrase: string, probability: number, peakProbability: number, probabilities: Object, audio: Float32Array, sampleRate: number}} verify - A detection waits for verification, answer with `resolveVerification`.
+ * @property {{reason: string, name: string, phrase: string, probability: number, peakProbability: number, probabilities: Object, transcript: string, similarity: number, speaker: Object|null}} rejected - A detection was turned down, by verification (`transcript`) or because the voice matched no enrolled profile (`speaker`).
+ * @property {{seconds: number}} followUpStart - A follow-up window opened, the next speech is recorded without the wake word.
+ * @property {{reason: string}} followUpEnd - The follow-up window closed, on `speech`, `wakeWord`, `silence` or when `closed`.
+ * @property {void} pushToTalkStart - Push-to-talk started a recording, or took one over.
+ * @property {void} pushToTalkEnd - Push-to-talk ended, its recording was dispatched or dropped.
+ * @property {{calibrated: boolean, level: number, speechProbability: number, thresholds: Object}} calibrated - A calibration listened to the room and set thresholds for it, see HeyBuddy.calibrate.
+ * @property {{audioSeconds: number, batches: Object, realTimeFactor: number, frame: Object, models: Object, wakeWords: Object, executionProviders: string[], wakeWordWorkers: number}} stats - Pipeline telemetry, every `statsIntervalSeconds`, see HeyBuddy.getStats.
+ * @property {{wakeWords: string[]}} degraded - The `degrade` backpressure policy changed which wake words it skips to keep up, see HeyBuddy.setBackpressure.
+ * @property {Object} device - The microphone was opened, or swapped: chosen, or followed after a device change, see MediaStreamSource.getDevice.
+ * @property {void} ready - All models given to the constructor have loaded.
+ * @property {Error} error - A model failed to load, processing failed, or a listener threw.
+ */
+
+/**
+ * The event API shared by HeyBuddy and RemoteHeyBuddy.
+ * @extends EventEmitter
+ */
+export class HeyBuddyEventEmitter extends EventEmitter {
+    /**
+     * Add a callback for when a wake word is detected.
+     * @param {string|string[]} names - Name of wake word.
+     * @param {Function} callback - Callback function, called with `{ name, probability }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onDetected(names, callback) {
+        const listener = (detection) => {
+            if (Array.isArray(names) && names.includes(detection.name) || names === detection.name) {
+                callback(detection);
+            }
+        };
+        // Lets off("detected", callback) find the wrapper
+        listener.listener = callback;
+        return this.on("detected", listener);
+    }
+
+    /**
+     * Add a callback for processed data.
+     * @param {Function} callback - Callback function.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onProcessed(callback) {
+        return this.on("processed", callback);
+    }
+
+    /**
+     * Add a callback for speech start.
+     * @param {Function} callback - Callback function.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onSpeechStart(callback) {
+        return this.on("speechStart", callback);
+    }
+
+    /**
+     * Add a callback for speech end.
+     * @param {Function} callback - Callback function.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onSpeechEnd(callback) {
+        return this.on("speechEnd", callback);
+    }
+
+    /**
+     * Add a callback for recording.
+     * @param {Function} callback - Callback function.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onRecording(callback) {
+        return this.on("recording", callback);
+    }
+
+    /**
+     * Add a callback for when a recording hits the length limit.
+     * @param {Function} callback - Callback function, called with `{ duration, dispatched }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onRecordingTimeout(callback) {
+        return this.on("recordingTimeout", callback);
+    }
+
+    /**
+     * Add a callback for when a recording is dropped.
+     * @param {Function} callback - Callback function, called with `{ reason, duration }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onRecordingAborted(callback) {
+        return this.on("recordingAborted", callback);
+    }
+
+    /**
+     * Add a callback for detections that wait for verification.
+     * @param {Function} callback - Callback function, called with `{ id, name, phrase, audio, sampleRate, ... }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onVerify(callback) {
+        return this.on("verify", callback);
+    }
+
+    /**
+     * Add a callback for detections turned down by verification or speaker matching.
+     * @param {Function} callback - Callback function, called with `{ reason, name, probability, transcript, similarity, speaker, ... }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onRejected(callback) {
+        return this.on("rejected", callback);
+    }
+
+    /**
+     * Add a callback for when a follow-up window opens.
+     * @param {Function} callback - Callback function, called with `{ seconds }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onFollowUpStart(callback) {
+        return this.on("followUpStart", callback);
+    }
+
+    /**
+     * Add a callback for when a follow-up window closes.
+     * @param {Function} callback - Callback function, called with `{ reason }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onFollowUpEnd(callback) {
+        return this.on("followUpEnd", callback);
+    }
+
+    /**
+     * Add a callback for when push-to-talk starts.
+     * @param {Function} callback - Callback function.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onPushToTalkStart(callback) {
+        return this.on("pushToTalkStart", callback);
+    }
+
+    /**
+     * Add a callback for when push-to-talk ends.
+     * @param {Function} callback - Callback function.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onPushToTalkEnd(callback) {
+        return this.on("pushToTalkEnd", callback);
+    }
+
+    /**
+     * Add a callback for when a model has loaded.
+     * @param {Function} callback - Callback function, called with `{ kind, name, duration }`.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onModelLoaded(callback) {
+        return this.on("modelLoaded", callback);
+    }
+
+    /**
+     * Add a callback for when a calibration is done.
+     * @param {Function} callback - Callback function, called with the noise floor.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onCalibrated(callback) {
+        return this.on("calibrated", callback);
+    }
+
+    /**
+     * Add a callback for pipeline telemetry.
+     * @param {Function} callback - Callback function, called with the stats.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onStats(callback) {
+        return this.on("stats", callback);
+    }
+
+    /**
+     * Add a callback for when wake words are skipped or brought back to keep up with the audio.
+     * @param {Function} callback - Callback function, called with `{ wakeWords }`, those skipped.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onDegraded(callback) {
+        return this.on("degraded", callback);
+    }
+
+    /**
+     * Add a callback for when the microphone is opened or swapped, e.g. a headset was plugged in.
+     * @param {Function} callback - Callback function, called with the device, see MediaStreamSource.getDevice.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onDevice(callback) {
+        return this.on("device", callback);
+    }
+
+    /**
+     * Add a callback for when all models have loaded.
+     * @param {Function} callback - Callback function.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onReady(callback) {
+        return this.on("ready", callback);
+    }
+
+    /**
+     * Add a callback for errors.
+     * @param {Function} callback - Callback function, called with the error.
+     * @returns {Function} - Function that removes the callback.
+     */
+    onError(callback) {
+        return this.on("error", callback);
+    }
+}
@@ -1,12 +1,33 @@
 /** @module hey-buddy */
 import { ONNX } from "./onnx.js";
-import { AudioBatcher } from "./audio.js";
+import { AudioBatcher, MediaStreamSource } from "./audio.js";
+import { resample } from "./resampler.js";
+import { RingBuffer } from "./ring-buffer.js";
+import { FeatureStream } from "./feature-stream.js";
+import { HeyBuddyEventEmitter } from "./hey-buddy-events.js";
+import { WakeWordPool, RemoteWakeWord } from "./wake-word-pool.js";
+import { defaultPhrase } from "./verification.js";
+import { createDetectionStrategy, DetectionCollapser } from "./detection.js";
+import { EchoCanceller } from "./echo-canceller.js";
+import { NoiseCalibrator } from "./noise-calibrator.js";
+import { LatencyStats } from "./latency-stats.js";
+import { matchSpeaker, poolEmbeddings } from "./speaker.js";
 import {
     SileroVAD,
     SpeechEmbedding,
     MelSpectrogram,
-    WakeWord
+    WakeWord,
+    TrainedWakeWord
 } from "./models.js";
+import { isTrainedWakeWordModel } from "./models/trained-wake-word.js";
+
+/**
+ * What inference does when it takes longer than the interval between batches.
+ * `catchUp` works through every batch in order, up to `maxBacklogSeconds` behind;
+ * `latest` skips to the newest batch; `degrade` catches up, skipping the slowest wake words until it keeps up.
+ * @type {string[]}
+ */
+export const BACKPRESSURE_POLICIES = ["catchUp", "latest", "degrade"];
 
 /**
  * Combines an array of embedding buffers into a single embedding tensor.
@@ -37,18 +58,32 @@ async function embeddingBufferArrayToEmbedding(embeddingBufferArray, numFramesPe
     return embeddingBuffer;
 }
 
+/**
+ * Runtime settings of a single wake word model.
+ * @typedef {Object} WakeWordOptions
+ * @property {number} threshold - Probability at or above which the wake word is detected.
+ * @property {number} cooldown - Seconds before the wake word can trigger again.
+ * @property {boolean} enabled - Whether the model is run at all.
+ * @property {string|Object} strategy - How frames at or above the threshold become a detection, a type or `{ type, ...options }`, see DETECTION_STRATEGIES.
+ * @property {string} phrase - What the wake word sounds like, for verification; defaults to the model name with dashes as spaces.
+ */
+
 /**
  * HeyBuddy class for running wake word detection.
  */
-export class HeyBuddy {
+export class HeyBuddy extends HeyBuddyEventEmitter {
     /**
      * Create a HeyBuddy instance.
      * @param {Object} [options] - Options object.
      * @param {number} [options.positiveVadThreshold=0.5] - VAD threshold for speech.
      * @param {number} [options.negativeVadThreshold=0.25] - VAD threshold for silence.
      * @param {number} [options.negativeVadCount=8] - Number of negative VADs to trigger silence.
-     * @param {number} [options.wakeWordThreads=4] - Number of threads for wake word detection.
-     * @param {number} [options.wakeWordThreshold=0.5] - Wake word detection threshold.
+     * @param {number} [options.wakeWordThreads=4] - Number of workers wake word models are spread over; models in different workers run in parallel.
+     * @param {boolean} [options.wakeWordWorkers] - Whether to run wake word models in workers, defaults to true where workers are available.
+     * @param {number} [options.wakeWordThreshold=0.5] - Default wake word detection threshold.
+     * @param {number} [options.wakeWordInterval=2.0] - Default number of seconds before the same wake word can trigger again.
+     * @param {string|Object} [options.detectionStrategy="threshold"] - Default detection strategy: `threshold`, `nOfM`, `movingAverage` or `hysteresis`, or `{ type, ...options }`.
+     * @param {Object<string, WakeWordOptions>} [options.wakeWords] - Per wake word overrides, keyed by model name.
      * @param {string|string[]} [options.modelPath="/models/hey-buddy.onnx"] - Path to wake word model.
      * @param {string} [options.vadModelPath="/pretrained/silero-vad.onnx"] - Path to VAD model.
      * @param {string} [options.embeddingModelPath="/pretrained/speech-embedding.onnx"] - Path to speech embedding model.
@@ -57,11 +92,39 @@ export class HeyBuddy {
      * @param {number} [options.batchIntervalSeconds=0.12] - Number of seconds between batches.
      * @param {number} [options.targetSampleRate=16000] - Target sample rate for audio.
      * @param {number} [options.spectrogramMelBins=32] - Number of mel bins for spectrogram.
+     * @param {boolean} [options.incrementalFeatures=true] - Whether to compute only the mel frames and embeddings each hop adds, instead of the whole window.
      * @param {number} [options.embeddingDim=96] - Dimension of speech embedding.
      * @param {number} [options.embeddingWindowSize=76] - Window size for speech embedding.
      * @param {number} [options.embeddingWindowStride=8] - Window stride for speech embedding.
+     * @param {AudioSource|MediaStream|MessagePort|AudioBuffer|Float32Array|AsyncIterable<Float32Array>} [options.audioSource] - Audio to listen to instead of the default microphone.
+     * @param {number} [options.audioSourceSampleRate] - Sample rate of a Float32Array audio source, defaults to the target sample rate.
+     * @param {string} [options.resamplerQuality="medium"] - Quality of the resampler capturing a MediaStream or the microphone, `low`, `medium` or `high`, see RESAMPLER_QUALITIES.
+     * @param {boolean} [options.testSignal=false] - Whether to capture a test sweep instead of the microphone, see setTestSignal.
+     * @param {string} [options.audioDeviceId] - The microphone to capture, see listAudioInputs; defaults to the default one.
+     * @param {AudioConstraints} [options.audioConstraints] - Echo cancellation, gain control and noise suppression of the browser, all on by default.
+     * @param {boolean} [options.followAudioDevices=true] - Whether the microphone is swapped when devices change, e.g. a headset is plugged in or out.
+     * @param {number} [options.preRollSeconds=1.08] - Seconds of audio before the wake word detection to include in recordings.
+     * @param {number} [options.pushToTalkPreRollSeconds=0.25] - Seconds of audio before push-to-talk starts to include in its recording;
+     * enough for a word begun as the key goes down, without what was said before. At most `preRollSeconds`, 0 for none.
+     * @param {boolean} [options.trimWakeWord=false] - Whether to cut the detected wake word out of recordings.
+     * @param {number} [options.wakeWordTrimMarginSeconds=0.12] - Seconds of audio to keep before the estimated end of the wake word when trimming.
+     * @param {number} [options.maxRecordingSeconds=30] - Longest recording before it is ended, 0 for no limit.
+     * @param {boolean} [options.dispatchOnTimeout=true] - Whether a recording that hits the length limit is dispatched or dropped.
+     * @param {number} [options.noSpeechTimeoutSeconds=4] - Seconds to wait for speech after the wake word before dropping the recording, 0 to dispatch at the first speech end.
+     * @param {boolean} [options.verifyWakeWords=false] - Whether detections wait for a `verify` listener to confirm them, see WakeWordVerifier.
+     * @param {number} [options.verificationTimeoutSeconds=5] - Seconds to wait for verification before accepting the detection anyway.
+     * @param {number} [options.followUpSeconds=8] - Seconds of silence a follow-up window waits for speech before closing, see openFollowUp.
+     * @param {number} [options.bargeInThreshold=0.9] - Lowest wake word threshold while the assistant speaks, so its own voice does not trigger it, see setAssistantSpeaking.
+     * @param {MediaStream} [options.referenceStream] - What the speakers play, e.g. the assistant's voice, whose echo is cancelled from the microphone, see setReferenceStream.
+     * @param {boolean|Object} [options.echoCancellation=true] - Whether to cancel the reference's echo, or EchoCanceller options.
+     * @param {SpeakerProfile[]} [options.speakerProfiles] - Enrolled speakers, only they can start a recording with the wake word, see setSpeakerProfiles.
+     * @param {boolean|Object} [options.calibration=false] - Whether to calibrate thresholds on the first seconds of audio, or NoiseCalibrator options to do so with, see calibrate.
+     * @param {number} [options.statsIntervalSeconds=5] - Seconds between `stats` events, 0 for none, see getStats.
+     * @param {string} [options.backpressure="catchUp"] - What inference does when it falls behind the audio, see BACKPRESSURE_POLICIES and setBackpressure.
+     * @param {number} [options.maxBacklogSeconds=2] - Most audio waiting for inference; older batches are dropped beyond it.
      */
     constructor(options) {
+        super();
         options = options || {};
         // Get options or use defaults for runtime
         this.debug = options.debug || false;
@@ -69,8 +132,11 @@ export class HeyBuddy {
         options.negativeVadThreshold = options.negativeVadThreshold || 0.4;
         options.negativeVadCount = options.negativeVadCount || 8;
         this.wakeWordThreads = options.wakeWordThreads || 4;
+        const wakeWordWorkers = options.wakeWordWorkers ?? typeof Worker !== "undefined";
+        this.wakeWordPool = wakeWordWorkers ? new WakeWordPool(this.wakeWordThreads) : null;
         this.wakeWordThreshold = options.wakeWordThreshold || 0.5;
         this.wakeWordInterval = options.wakeWordInterval || 2.0; // How often a wake word can be uttered
+        this.detectionStrategy = options.detectionStrategy || "threshold";
 
         // Get options or use defaults for models
         const modelPath = options.modelPath || "/models/hey-buddy.onnx";
@@ -88,11 +154,14 @@ export class HeyBuddy {
         const wakeWordEmbeddingFrames = options.wakeWordEmbeddingFrames || 16;
 
         // Initialize shared models
+        this.vadDefaults = {
+            positiveVadThreshold: options.positiveVadThreshold,
+            negativeVadThreshold: options.negativeVadThreshold,
+            negativeVadCount: options.negativeVadCount,
+        };
         this.vad = new SileroVAD(vadModelPath, this.targetSampleRate, options.positiveVadThreshold, options.negativeVadThreshold, options.negativeVadCount);
-        this.vad.test(this.debug);
 
         this.spectrogram = new MelSpectrogram(spectrogramModelPath);
-        this.spectrogram.test(this.debug);
         this.spectrogramMelBins = spectrogramMelBins;
 
         this.embedding = new SpeechEmbedding(
@@ -101,110 +170,789 @@ export class HeyBuddy {
             embeddingWindowSize,
             embeddingWindowStride,
         );
-        this.embedding.test(this.debug);
         this.embeddingDim = embeddingDim;
         this.embeddingWindowSize = embeddingWindowSize;
         this.embeddingWindowStride = embeddingWindowStride;
         this.embeddingBuffer = null;
         this.embeddingBufferArray = []
+        this.incrementalFeatures = options.incrementalFeatures !== false;
+        this.features = this.createFeatureStream();
 
         // Initialize wake word models
         this.wakeWords = {};
         this.wakeWordTimes = {};
+        this.wakeWordRuns = new Map(); // Inference in flight per wake word model, removing one waits for it
         this.wakeWordEmbeddingFrames = wakeWordEmbeddingFrames;
+        this.wakeWordOptions = {};
+        this.detectionStrategies = {};
         for (let model of modelArray) {
             let modelName = model.split("/").pop().split(".")[0];
-            this.wakeWords[modelName] = new WakeWord(model, this.wakeWordThreshold);
-            this.wakeWords[modelName].test(this.debug);
+            this.wakeWordOptions[modelName] = this.defaultWakeWordOptions((options.wakeWords || {})[modelName], modelName);
+            this.detectionStrategies[modelName] = createDetectionStrategy(this.wakeWordOptions[modelName].strategy);
+            this.wakeWords[modelName] = this.createWakeWord(model, this.wakeWordOptions[modelName].threshold);
         }
 
+        // Test all models, reporting each as it loads
+        this.isReady = false;
+        this.loaded = Promise.all([
+            this.testModel(this.vad, "vad", "silero-vad"),
+            this.testModel(this.spectrogram, "spectrogram", "mel-spectrogram"),
+            this.testModel(this.embedding, "embedding", "speech-embedding"),
+            ...Object.entries(this.wakeWords).map(([name, model]) => this.testModel(model, "wakeWord", name)),
+        ]).then(() => {
+            this.isReady = true;
+            if (this.debug) {
+                console.log("All models loaded");
+            }
+            this.emit("ready");
+        });
+        // Failures are reported as error events, awaiting `loaded` is optional
+        this.loaded.catch(() => {});
+
         // Initialize state
         this.recording = false;
         this.audioBuffer = null;
+        this.recordingStartSample = null;
+        this.wakeWordPeak = null;
+        this.trimWakeWord = options.trimWakeWord || false;
+        this.wakeWordTrimMarginSeconds = options.wakeWordTrimMarginSeconds ?? 0.12;
+        this.preRollSeconds = options.preRollSeconds ?? batchSeconds;
+        this.pushToTalkPreRollSeconds = Math.min(options.pushToTalkPreRollSeconds ?? 0.25, this.preRollSeconds);
+        this.maxRecordingSeconds = options.maxRecordingSeconds ?? 30;
+        this.dispatchOnTimeout = options.dispatchOnTimeout ?? true;
+        this.noSpeechTimeoutSeconds = options.noSpeechTimeoutSeconds ?? 4;
+        this.recordingDetectedSample = null;
+        this.heardCommand = false;
+        this.verifyWakeWords = options.verifyWakeWords || false;
+        this.verificationTimeoutSeconds = options.verificationTimeoutSeconds ?? 5;
+        this.verification = null; // The detection waiting for verification
+        this.verificationTimer = null;
+        this.nextVerificationId = 0;
+        this.heldRecording = null; // A recording finished before its detection was verified
+        this.wakeWordProbabilities = {}; // Of the last batch wake words ran on
+        this.followUpSeconds = options.followUpSeconds ?? 8;
+        this.followUp = null; // The open follow-up window, see openFollowUp
+        this.pushToTalk = false; // Whether the current recording is held open by push-to-talk
+        this.pushToTalkStartSample = null; // Stream position push-to-talk started its own recording at
+        this.assistantSpeaking = false;
+        this.bargeInThreshold = options.bargeInThreshold ?? 0.9;
+        this.speakerProfiles = [];
+        this.setSpeakerProfiles(options.speakerProfiles || []);
+        // Audio is captured as it arrives and analysed when inference gets to it, see receiveBatch
+        this.maxBacklogBatches = Math.max(1, Math.round((options.maxBacklogSeconds ?? 2) / batchIntervalSeconds));
+        this.backlog = []; // Batches waiting for inference, `{ batch, endSample }`
+        this.draining = null; // The loop working through the backlog
+        this.degradedWakeWords = new Set(); // Skipped to keep up, see adjustDegradation
+        this.degradationHold = 0; // Batches to wait before changing them again
+        this.setBackpressure(options.backpressure || "catchUp");
+        this.capturedSample = 0; // Stream position of the end of the captured audio
+        this.analysedSample = 0; // Stream position of the end of the batch being analysed
+        // Holds the most recent captured audio, positions in recordings are counted in its samples.
+        // It reaches back over the backlog, so a recording still starts the pre-roll before the analysed audio.
+        this.preRollSamples = Math.max(
+            Math.floor(this.preRollSeconds * targetSampleRate),
+            Math.floor(batchIntervalSeconds * targetSampleRate)
+        );
+        this.preRoll = new RingBuffer(
+            this.preRollSamples
+            + this.maxBacklogBatches * Math.floor(batchIntervalSeconds * targetSampleRate)
+            + Math.floor(batchSeconds * targetSampleRate)
+        );
         this.frameIntervalEma = 0;
         this.frameIntervalEmaWeight = 0.1;
         this.frameTimeEma = 0;
         this.frameTimeEmaWeight = 0.1;
-
-        this.speechStartCallbacks = [];
-        this.speechEndCallbacks = [];
-        this.recordingCallbacks = [];
-        this.processedCallbacks = [];
-        this.detectedCallbacks = [];
+        this.statsIntervalSeconds = options.statsIntervalSeconds ?? 5;
+        this.frameLatency = new LatencyStats();
+        this.resetStats();
 
         // Initialize batcher and add callback
         this.batcher = new AudioBatcher(
             batchSeconds,
             batchIntervalSeconds,
-            targetSampleRate
+            targetSampleRate,
+            options.audioSource,
+            options.audioSourceSampleRate,
+            {
+                resamplerQuality: options.resamplerQuality,
+                testSignal: options.testSignal,
+                deviceId: options.audioDeviceId,
+                constraints: options.audioConstraints,
+                followDevices: options.followAudioDevices,
+            },
         );
-        this.batcher.onBatch((batch) => this.process(batch));
+        this.batcher.onBatch((batch, endSample) => this.receiveBatch(batch, endSample));
+        if (this.source instanceof MediaStreamSource) {
+            this.source.onStreamChange((device) => this.emit("device", device));
+        }
+        // Only applies to frames that carry a playback reference
+        const echoCancellation = options.echoCancellation ?? true;
+        this.echoCanceller = new EchoCanceller({
+            sampleRate: targetSampleRate,
+            debug: this.debug,
+            ...(typeof echoCancellation === "object" ? echoCancellation : { enabled: echoCancellation }),
+        });
+        this.batcher.echoCanceller = this.echoCanceller;
+        if (options.referenceStream) {
+            this.setReferenceStream(options.referenceStream);
+        }
+        const calibration = options.calibration ?? false;
+        this.noiseCalibrator = new NoiseCalibrator({
+            hopSeconds: batchIntervalSeconds,
+            debug: this.debug,
+            ...(typeof calibration === "object" ? calibration : {}),
+        });
+        this.noiseThresholdOffset = 0.0; // Added to wake word thresholds in a noisy room
+        this.calibration = null; // { promise, resolve, reject } of the running calibration
+        if (calibration) {
+            // Resolves once the first seconds of audio are in
+            this.calibrate().catch(() => {});
+        }
+        // Resolves once audio is captured; rejects e.g. when the microphone permission was denied
+        this.starting = this.batcher.initializing;
+        this.starting.catch((error) => this.emit("error", error));
         this.paused = false;
+        this.disposed = false;
+        this.disposing = null;
+    }
+
+    /**
+     * The source audio is read from.
+     * @type {AudioSource}
+     */
+    get source() {
+        return this.batcher.source;
+    }
+
+    /**
+     * Sets the stream of what the speakers play, e.g. the assistant's voice. Its echo is cancelled from
+     * the microphone before anything is analysed, so playback does not start speech or trigger wake words.
+     * Only a MediaStream source can take a reference; a HeyBuddy fed by a worklet port receives
+     * the reference with the frames, see RemoteHeyBuddy.
+     * @param {MediaStream|null} stream - The playback reference, null to stop using one.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setReferenceStream(stream) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can take a reference stream");
+        }
+        this.source.setReferenceStream(stream);
+    }
+
+    /**
+     * Describes the microphone being captured, see MediaStreamSource.getDevice.
+     * @returns {Object|null} - The device, null before capturing has started or if the audio source is not a MediaStream.
+     */
+    getAudioDevice() {
+        if (!(this.source instanceof MediaStreamSource)) {
+            return null;
+        }
+        return this.source.getDevice();
+    }
+
+    /**
+     * Captures another microphone without restarting anything but the node that feeds the worklet.
+     * Emits `device` once it is swapped.
+     * @param {string|null} deviceId - The microphone, see listAudioInputs; null for the default one.
+     * @returns {Promise<Object|null>} - The device now captured, see getAudioDevice.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setAudioDevice(deviceId) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can change the audio device");
+        }
+        return this.source.setDevice(deviceId);
+    }
+
+    /**
+     * Changes the browser's processing of the microphone, e.g. turns its noise suppression off.
+     * The microphone is requested again with them, see setAudioDevice.
+     * @param {AudioConstraints} constraints - The constraints to change, others are kept.
+     * @returns {Promise<Object|null>} - The device now captured, see getAudioDevice.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setAudioConstraints(constraints) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can change the audio constraints");
+        }
+        return this.source.setConstraints(constraints);
+    }
+
+    /**
+     * Captures a test sweep instead of the microphone, or goes back to the microphone, to check
+     * that resampling to the target rate does not alias, see MediaStreamSource.setTestSignal.
+     * Record while it plays to hear it: the sweep should fall silent rather than come back down.
+     * @param {boolean} enabled - Whether to capture the test signal.
+     * @returns {Object|null} - The resampler's aliasing measured offline at the capture rate, see measureAliasing;
+     * null before capturing has started.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setTestSignal(enabled) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can capture the test signal");
+        }
+        this.source.setTestSignal(enabled);
+        return this.source.measureAliasing();
+    }
+
+    /**
+     * Turns verification of detections on or off while running, see WakeWordVerifier.
+     * Turning it off accepts a detection still waiting for its verdict.
+     * @param {boolean} enabled - Whether detections wait for a `verify` listener to confirm them.
+     */
+    setVerifyWakeWords(enabled) {
+        this.verifyWakeWords = !!enabled;
+        if (!this.verifyWakeWords && this.verification !== null) {
+            this.resolveVerification(this.verification.id, { accepted: true, transcript: null, similarity: null });
+        }
+    }
+
+    /**
+     * Turns echo cancellation on or off while running.
+     * @param {boolean} enabled - Whether to cancel the reference's echo.
+     */
+    setEchoCancellation(enabled) {
+        this.echoCanceller.setEnabled(!!enabled);
+    }
+
+    /**
+     * Measures how much of the reference's echo is left, see EchoCanceller.getMetrics.
+     * Also sent with every `processed` event.
+     * @returns {Object} - The echo metrics.
+     */
+    getEchoMetrics() {
+        return this.echoCanceller.getMetrics();
     }
 
     pause() {
         this.paused = true;
     }
 
+    /**
+     * Resumes after pause. Audio from before the pause is forgotten: the pre-roll, the embeddings and
+     * the detection strategies' history start over, so e.g. a barge-in or push-to-talk recording
+     * right after resuming does not reach back into it.
+     */
     resume() {
+        if (this.paused && !this.disposed) {
+            this.preRoll.clear();
+            // A new stream, a batch still being processed keeps the one it started with
+            this.features = this.createFeatureStream();
+            this.embeddingBufferArray = [];
+            Object.values(this.detectionStrategies).forEach((strategy) => strategy.reset());
+        }
         this.paused = false;
     }
 
+    /**
+     * Shuts the instance down: stops the audio source, closes the audio context,
+     * releases every ONNX session and removes all listeners.
+     * The instance cannot be used afterwards; calling this again returns the same promise.
+     * @returns {Promise} - Promise that resolves once everything is released.
+     */
+    dispose() {
+        if (this.disposing === null) {
+            this.disposed = true;
+            this.paused = true;
+            this.disposing = (async () => {
+                await this.batcher.dispose();
+                // Releasing waits for inference in flight, later runs in that batch fail silently
+                const models = [this.vad, this.spectrogram, this.embedding, ...Object.values(this.wakeWords)];
+                await Promise.all(models.map((model) => model.release()));
+                if (this.wakeWordPool !== null) {
+                    this.wakeWordPool.terminate();
+                }
+                this.wakeWords = {};
+                this.clearVerification();
+                this.endCalibration(new Error("HeyBuddy was disposed"));
+                this.followUp = null;
+                this.resetRecording();
+                this.recording = false;
+                this.removeAllListeners();
+                if (this.debug) {
+                    console.log("HeyBuddy disposed");
+                }
+            })();
+        }
+        return this.disposing;
+    }
+
+    /**
+     * Gets the names of all loaded wake words.
+     * @returns {string[]} - Names of wake words.
+     */
+    get wakeWordNames() {
+        return Object.keys(this.wakeWords);
+    }
 
     /**
-     * Gets the names of wake words, chunked for threaded wake word detection.
+     * Gets the names of wake words that are enabled.
+     * @returns {string[]} - Names of wake words.
+     */
+    get enabledWakeWords() {
+        return Object.keys(this.wakeWords).filter((name) => this.wakeWordOptions[name].enabled);
+    }
+
+    /**
+     * Gets the names of wake words live detection runs, the enabled ones not skipped to keep up.
+     * @returns {string[]} - Names of wake words.
+     */
+    get activeWakeWords() {
+        return this.enabledWakeWords.filter((name) => !this.degradedWakeWords.has(name));
+    }
+
+    /**
+     * Gets the names of enabled wake words, chunked for threaded wake word detection.
      * @returns {string[][]} - Names of wake words.
      */
     get chunkedWakeWords() {
-        return Object.keys(this.wakeWords).reduce((carry, name, i) => {
-            const chunkIndex = Math.floor(i / this.wakeWordThreads);
-            if (!carry[chunkIndex]) {
-                carry[chunkIndex] = [];
+        return this.chunkWakeWords(this.enabledWakeWords);
+    }
+
+    /**
+     * Groups wake words by the thread they run on. Chunks run concurrently,
+     * the wake words within a chunk one after another.
+     * @param {string[]} names - Names of wake words.
+     * @returns {string[][]} - Names of wake words, one array per thread in use.
+     */
+    chunkWakeWords(names) {
+        const chunks = names.reduce((carry, name, i) => {
+            // Models in a worker are bound to it, in-thread models are spread evenly
+            const thread = this.wakeWords[name].thread ?? i % this.wakeWordThreads;
+            if (!carry[thread]) {
+                carry[thread] = [];
             }
-            carry[chunkIndex].push(name);
+            carry[thread].push(name);
             return carry;
         }, []);
+        return chunks.filter((chunk) => chunk !== undefined);
+    }
+
+    /**
+     * Creates a wake word model, in the worker pool if there is one.
+     * @param {string|ArrayBuffer|Uint8Array} model - URL of the ONNX model, or its contents.
+     * @param {number} threshold - Detection threshold.
+     * @returns {WakeWord|RemoteWakeWord} - The model.
+     */
+    createWakeWord(model, threshold) {
+        if (isTrainedWakeWordModel(model)) {
+            // Small enough to run here
+            return new TrainedWakeWord(model, threshold);
+        }
+        if (this.wakeWordPool !== null) {
+            return new RemoteWakeWord(this.wakeWordPool, model, threshold);
+        }
+        return new WakeWord(model, threshold);
+    }
+
+    /**
+     * Fills in wake word settings from the instance defaults.
+     * @param {Partial<WakeWordOptions>} [options] - Settings to override.
+     * @param {string} name - Name of the wake word.
+     * @returns {WakeWordOptions} - The complete settings.
+     */
+    defaultWakeWordOptions(options, name) {
+        return {
+            threshold: this.wakeWordThreshold,
+            cooldown: this.wakeWordInterval,
+            enabled: true,
+            strategy: this.detectionStrategy,
+            phrase: defaultPhrase(name),
+            ...options,
+        };
+    }
+
+    /**
+     * Loads another wake word model while running.
+     * The model is only used once it has loaded and passed its self test.
+     * @param {string} name - Name of wake word.
+     * @param {string|ArrayBuffer|Uint8Array|TrainedWakeWordModel} model - URL of the ONNX model, its contents, or a classifier head trained with WakeWordTrainer.
+     * @param {Partial<WakeWordOptions>} [options] - Settings for the wake word.
+     * @returns {Promise<WakeWordOptions>} - Promise that resolves to the settings once the model is in use.
+     * @throws {Error} - If a wake word with that name exists, the model fails to load, or the instance is disposed.
+     */
+    async addWakeWord(name, model, options) {
+        if (this.disposed) {
+            throw new Error("HeyBuddy has been disposed");
+        }
+        if (this.wakeWords[name]) {
+            throw new Error(`Wake word "${name}" already exists`);
+        }
+        const wakeWordOptions = this.defaultWakeWordOptions(options, name);
+        const strategy = createDetectionStrategy(wakeWordOptions.strategy);
+        const wakeWord = this.createWakeWord(model, wakeWordOptions.threshold);
+        await this.testModel(wakeWord, "wakeWord", name);
+        if (this.disposed) {
+            await wakeWord.release();
+            throw new Error("HeyBuddy has been disposed");
+        }
+        this.wakeWordOptions[name] = wakeWordOptions;
+        this.detectionStrategies[name] = strategy;
+        this.wakeWords[name] = wakeWord;
+        if (this.debug) {
+            console.log(`Wake word "${name}" added`);
+        }
+        return { ...wakeWordOptions };
+    }
+
+    /**
+     * Unloads a wake word model while running.
+     * Inference already running on it finishes first, so the batch it belongs to is not cut short.
+     * @param {string} name - Name of wake word.
+     * @returns {Promise} - Promise that resolves once the model's session is released.
+     * @throws {Error} - If there is no wake word with that name.
+     */
+    async removeWakeWord(name) {
+        const wakeWord = this.wakeWords[name];
+        if (!wakeWord) {
+            throw new Error(`Unknown wake word "${name}"`);
+        }
+        // Stop using it right away, then let any inference in flight finish before releasing
+        delete this.wakeWords[name];
+        delete this.wakeWordOptions[name];
+        delete this.detectionStrategies[name];
+        delete this.wakeWordTimes[name];
+        this.degradedWakeWords.delete(name);
+        const running = this.wakeWordRuns.get(wakeWord);
+        if (running) {
+            await running.catch(() => {});
+        }
+        await wakeWord.release();
+        if (this.debug) {
+            console.log(`Wake word "${name}" removed`);
+        }
+    }
+
+    /**
+     * Gets the current settings of a wake word.
+     * @param {string} name - Name of wake word.
+     * @returns {WakeWordOptions} - A copy of the settings.
+     * @throws {Error} - If there is no wake word with that name.
+     */
+    getWakeWordOptions(name) {
+        if (!this.wakeWordOptions[name]) {
+            throw new Error(`Unknown wake word "${name}"`);
+        }
+        return { ...this.wakeWordOptions[name] };
     }
 
     /**
-     * Add a callback for when a wake word is detected.
-     * @param {string|string[]} names - Name of wake word.
-     * @param {Function} callback - Callback function.
+     * Changes the settings of a wake word while running.
+     * @param {string} name - Name of wake word.
+     * @param {Partial<WakeWordOptions>} options - Settings to change.
+     * @returns {WakeWordOptions} - The updated settings.
+     * @throws {Error} - If there is no wake word with that name.
      */
-    onDetected(names, callback) {
-        this.detectedCallbacks.push({ names, callback });
+    setWakeWordOptions(name, options) {
+        if (!this.wakeWordOptions[name]) {
+            throw new Error(`Unknown wake word "${name}"`);
+        }
+        const wakeWordOptions = { ...this.wakeWordOptions[name], ...options };
+        if (options.strategy !== undefined) {
+            // A new strategy starts without history
+            this.detectionStrategies[name] = createDetectionStrategy(wakeWordOptions.strategy);
+        }
+        this.wakeWordOptions[name] = wakeWordOptions;
+        this.wakeWords[name].threshold = wakeWordOptions.threshold;
+        if (this.debug) {
+            console.log(`Wake word "${name}" options:`, wakeWordOptions);
+        }
+        return { ...wakeWordOptions };
     }
 
     /**
-     * Add a callback for processed data.
-     * @param {Function} callback - Callback function.
+     * Runs the self test of a model, reporting the outcome as a `modelLoaded` or `error` event.
+     * @param {ONNXModel} model - The model to test.
+     * @param {string} kind - One of `vad`, `spectrogram`, `embedding` or `wakeWord`.
+     * @param {string} name - Name of the model.
+     * @returns {Promise} - Promise that resolves once the model is usable.
+     * @throws {Error} - If the model fails to load or its self test fails.
      */
-    onProcessed(callback) {
-        this.processedCallbacks.push(callback);
+    async testModel(model, kind, name) {
+        const start = Date.now();
+        try {
+            await model.test(this.debug);
+            // The first runs warm up, they would skew the percentiles
+            model.latency.reset();
+        } catch (cause) {
+            const error = new Error(`Failed to load ${kind} model "${name}": ${cause.message}`, { cause });
+            this.emit("error", error);
+            throw error;
+        }
+        this.emit("modelLoaded", { kind, name, duration: Date.now() - start });
     }
 
     /**
-     * Add a callback for speech start.
-     * @param {Function} callback - Callback function.
+     * Whether a follow-up window is open.
+     * @type {boolean}
      */
-    onSpeechStart(callback) {
-        this.speechStartCallbacks.push(callback);
+    get inFollowUp() {
+        return this.followUp !== null;
     }
 
     /**
-     * Add a callback for speech end.
-     * @param {Function} callback - Callback function.
+     * Opens a follow-up window, e.g. after the assistant has answered: the next speech starts a recording
+     * without the wake word. The window closes when speech starts, when a wake word starts a recording,
+     * or after the given seconds of audio without speech, and detection goes back to wake words only.
+     * Time is counted in processed audio, so it stands still while paused.
+     * @param {number} [seconds] - Seconds to wait for speech, defaults to `followUpSeconds`.
      */
-    onSpeechEnd(callback) {
-        this.speechEndCallbacks.push(callback);
+    openFollowUp(seconds = this.followUpSeconds) {
+        if (this.disposed || this.recording || !seconds) {
+            return;
+        }
+        this.followUp = {
+            seconds,
+            deadlineSample: this.analysedSample + Math.floor(seconds * this.batcher.targetSampleRate),
+        };
+        if (this.debug) {
+            console.log(`Follow-up window open for ${seconds} s`);
+        }
+        this.emit("followUpStart", { seconds });
     }
 
     /**
-     * Add a callback for recording.
-     * @param {Function} callback - Callback function.
+     * Closes the follow-up window, if one is open.
+     * @param {string} [reason="closed"] - Why it closed: `speech`, `wakeWord`, `pushToTalk`, `silence` or `closed`.
      */
-    onRecording(callback) {
-        this.recordingCallbacks.push(callback);
+    closeFollowUp(reason = "closed") {
+        if (this.followUp === null) {
+            return;
+        }
+        this.followUp = null;
+        if (this.debug) {
+            console.log(`Follow-up window closed (${reason})`);
+        }
+        this.emit("followUpEnd", { reason });
+    }
+
+    /**
+     * Closes the follow-up window once something else started a recording, or its time is up.
+     */
+    checkFollowUp() {
+        if (this.followUp === null) {
+            return;
+        }
+        if (this.recording) {
+            this.closeFollowUp("wakeWord");
+        } else if (this.analysedSample >= this.followUp.deadlineSample) {
+            this.closeFollowUp("silence");
+        }
+    }
+
+    /**
+     * Tells the detector whether the assistant is speaking. Detection keeps running so the user can cut in,
+     * but wake word thresholds are raised to at least `bargeInThreshold`, as the microphone also hears the
+     * assistant. Detections meanwhile are marked `bargeIn`.
+     * @param {boolean} speaking - Whether the assistant's voice is playing.
+     */
+    setAssistantSpeaking(speaking) {
+        this.assistantSpeaking = !!speaking;
+    }
+
+    /**
+     * Gets the settings wake words are currently detected with, raised in a noisy room (see calibrate)
+     * and while the assistant speaks.
+     * @returns {Object<string, WakeWordOptions>} - Settings keyed by name.
+     */
+    getEffectiveWakeWordOptions() {
+        if (!this.assistantSpeaking && this.noiseThresholdOffset === 0) {
+            return this.wakeWordOptions;
+        }
+        return Object.entries(this.wakeWordOptions).reduce((carry, [name, options]) => {
+            let threshold = Math.min(0.99, options.threshold + this.noiseThresholdOffset);
+            if (this.assistantSpeaking) {
+                threshold = Math.max(threshold, this.bargeInThreshold);
+            }
+            carry[name] = { ...options, threshold };
+            return carry;
+        }, {});
+    }
+
+    /**
+     * Listens to the room for a few seconds and picks the VAD thresholds, the number of negative VADs
+     * that end speech and a raise of the wake word thresholds from its noise, see NoiseCalibrator.
+     * Audio during recordings or while the assistant speaks does not count; keep quiet meanwhile.
+     * Afterwards the thresholds keep adapting slowly to audio without speech, until resetCalibration.
+     * Calling this during a calibration returns the running one.
+     * @param {number} [seconds] - Seconds to listen, defaults to the calibrator's `calibrationSeconds`.
+     * @returns {Promise<Object>} - Promise that resolves to the noise floor once calibrated, see getNoiseFloor.
+     * @throws {Error} - If the calibration is reset or the instance is disposed before it is done.
+     */
+    calibrate(seconds) {
+        if (this.calibration === null) {
+            this.noiseCalibrator.start(seconds);
+            const calibration = {};
+            calibration.promise = new Promise((resolve, reject) => {
+                calibration.resolve = resolve;
+                calibration.reject = reject;
+            });
+            this.calibration = calibration;
+        }
+        return this.calibration.promise;
+    }
+
+    /**
+     * Forgets the room, the thresholds go back to those given to the constructor.
+     */
+    resetCalibration() {
+        this.noiseCalibrator.reset();
+        this.endCalibration(new Error("Calibration was reset"));
+        this.applyCalibration();
+    }
+
+    /**
+     * Describes the room's noise and the thresholds picked for it, see NoiseCalibrator.getNoiseFloor.
+     * Also sent with every `processed` event.
+     * @returns {Object} - The noise floor.
+     */
+    getNoiseFloor() {
+        return this.noiseCalibrator.getNoiseFloor();
+    }
+
+    /**
+     * Uses the calibrated thresholds, or the configured ones without a calibration.
+     */
+    applyCalibration() {
+        const thresholds = this.noiseCalibrator.getThresholds();
+        const { positiveVadThreshold, negativeVadThreshold, negativeVadCount } = thresholds || this.vadDefaults;
+        this.vad.speechVadThreshold = positiveVadThreshold;
+        this.vad.silenceVadThreshold = negativeVadThreshold;
+        this.vad.silentFramesCount = negativeVadCount;
+        this.noiseThresholdOffset = thresholds ? thresholds.wakeWordThresholdOffset : 0.0;
+    }
+
+    /**
+     * Settles the promise of the running calibration.
+     * @param {Error} [error] - Why it did not finish, none if it did.
+     */
+    endCalibration(error) {
+        const calibration = this.calibration;
+        if (calibration === null) {
+            return;
+        }
+        this.calibration = null;
+        if (error) {
+            calibration.reject(error);
+            return;
+        }
+        const noiseFloor = this.getNoiseFloor();
+        this.emit("calibrated", noiseFloor);
+        calibration.resolve(noiseFloor);
+    }
+
+    /**
+     * Sets the enrolled speakers. While there are any, a wake word only starts a recording if the voice
+     * that said it matches one of them, otherwise it is emitted as `rejected` with reason `speaker`.
+     * Push-to-talk and follow-up windows are not checked. An empty list lets anyone in.
+     * @param {SpeakerProfile[]} profiles - The profiles, see computeVoicePrint and createVoicePrint.
+     * @throws {Error} - If a voice print does not have one value per embedding dimension.
+     */
+    setSpeakerProfiles(profiles) {
+        this.speakerProfiles = profiles.map((profile) => {
+            if (!profile.voicePrint || profile.voicePrint.length !== this.embeddingDim) {
+                throw new Error(`Voice print of "${profile.name}" must have ${this.embeddingDim} values`);
+            }
+            return { ...profile, voicePrint: Float32Array.from(profile.voicePrint) };
+        });
+    }
+
+    /**
+     * Matches the voice of the latest window against the enrolled speakers.
+     * @returns {Object|null} - See matchSpeaker, null without profiles or embeddings.
+     */
+    identifySpeaker() {
+        const latest = this.embeddingBufferArray[this.embeddingBufferArray.length - 1];
+        if (this.speakerProfiles.length === 0 || latest === undefined) {
+            return null;
+        }
+        return matchSpeaker(poolEmbeddings(latest.data, this.embeddingDim), this.speakerProfiles);
+    }
+
+    /**
+     * Computes the voice print of a recording, e.g. an enrollment utterance of the wake word.
+     * Only embeddings over the louder parts of the recording are used, so leading and trailing
+     * silence does not count. Combine the prints of a few utterances with createVoicePrint.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio, defaults to the target sample rate.
+     * @returns {Promise<Float32Array>} - Promise that resolves to the voice print.
+     */
+    async computeVoicePrint(audio, sampleRate) {
+        const targetSampleRate = this.batcher.targetSampleRate;
+        audio = resample(audio, sampleRate || targetSampleRate, targetSampleRate);
+        // Short recordings are padded with silence to a whole batch, the models' usual input
+        const padded = new Float32Array(Math.max(audio.length, this.batcher.batchSamples));
+        padded.set(audio);
+
+        const spectrograms = await this.spectrogram.run(padded);
+        const embeddings = await this.embedding.getEmbeddingFromMelSpectrogramOutput(spectrograms);
+        const windowSamples = this.embeddingWindowSize * this.features.melStep;
+        const strideSamples = this.embeddingWindowStride * this.features.melStep;
+        const energies = [];
+        for (let frame = 0; frame < embeddings.dims[0]; frame++) {
+            const window = padded.subarray(frame * strideSamples, frame * strideSamples + windowSamples);
+            energies.push(window.reduce((sum, value) => sum + value * value, 0.0) / window.length);
+        }
+        // Within 10 dB of the loudest window
+        const loudest = Math.max(...energies);
+        const frames = energies.map((energy, frame) => energy >= loudest * 0.1 ? frame : -1).filter((frame) => frame >= 0);
+        return poolEmbeddings(embeddings.data, this.embeddingDim, frames);
+    }
+
+    /**
+     * Starts recording without the wake word, until stopPushToTalk. Speech ending does not end the
+     * recording and there is no wait for speech; the length limit still applies. The recording starts
+     * `pushToTalkPreRollSeconds` before now and is dispatched like any other, so trimming and `recording` listeners see no difference.
+     * A recording already started by a wake word is taken over. A detection still waiting for
+     * verification is accepted, so a recording held for it is emitted before the new one.
+     * @returns {boolean} - Whether push-to-talk started, false while paused or disposed.
+     */
+    startPushToTalk() {
+        if (this.disposed || this.paused) {
+            return false;
+        }
+        if (this.pushToTalk) {
+            return true;
+        }
+        if (this.verification !== null) {
+            // Otherwise its held recording would be overwritten by this one
+            this.resolveVerification(this.verification.id, { accepted: true, transcript: null, similarity: null });
+        }
+        this.closeFollowUp("pushToTalk");
+        if (!this.recording) {
+            this.recording = true;
+            this.recordingDetectedSample = this.analysedSample;
+            // Started now rather than from the wake word pre-roll before the next analysed batch
+            this.audioBuffer = this.preRoll.read(Math.floor(this.pushToTalkPreRollSeconds * this.batcher.targetSampleRate));
+            this.recordingStartSample = this.capturedSample - this.audioBuffer.length;
+            this.pushToTalkStartSample = this.capturedSample;
+        }
+        this.pushToTalk = true;
+        this.heardCommand = true;
+        if (this.debug) {
+            console.log("Push-to-talk start");
+        }
+        this.emit("pushToTalkStart");
+        return true;
+    }
+
+    /**
+     * Ends push-to-talk and dispatches the recording.
+     * Released before a batch was recorded since it started, the recording is dropped as `empty`.
+     */
+    stopPushToTalk() {
+        if (!this.pushToTalk) {
+            return;
+        }
+        if (this.debug) {
+            console.log("Push-to-talk end");
+        }
+        if (this.audioBuffer === null || this.capturedSample === this.pushToTalkStartSample) {
+            this.abortRecording("empty");
+            return;
+        }
+        this.dispatchRecording();
+        this.recording = false;
     }
 
     /**
@@ -214,8 +962,13 @@ export class HeyBuddy {
         if (this.debug) {
             console.log("Speech start");
         }
-        for (let callback of this.speechStartCallbacks) {
-            callback();
+        this.emit("speechStart");
+        if (this.followUp !== null && !this.recording) {
+            // The speech is the command, record it as if a wake word had just been said
+            this.recording = true;
+            this.recordingDetectedSample = this.analysedSample;
+            this.heardCommand = true;
+            this.closeFollowUp("speech");
         }
     }
 
@@ -226,54 +979,292 @@ export class HeyBuddy {
         if (this.debug) {
             console.log("Speech end");
         }
-        for (let callback of this.speechEndCallbacks) {
-            callback();
-        }
-        if (this.recording) {
+        this.emit("speechEnd");
+        // Keep waiting if only the wake word has been said so far, or while push-to-talk is held
+        if (this.recording && !this.pushToTalk && (this.heardCommand || !this.noSpeechTimeoutSeconds)) {
             this.dispatchRecording();
             this.recording = false;
         }
     }
 
     /**
-     * Dispatch recording to all recording callbacks.
+     * Drop the current recording without dispatching it.
+     * @param {string} reason - Why the recording was dropped.
+     */
+    abortRecording(reason) {
+        const duration = this.audioBuffer === null ? 0 : this.audioBuffer.length / this.batcher.targetSampleRate;
+        if (this.debug) {
+            console.log(`Recording aborted (${reason}) after ${duration} s`);
+        }
+        if (this.verification !== null && !this.verification.requested) {
+            // The trigger is still judged, so a rejection is reported
+            this.requestVerification();
+        }
+        this.recording = false;
+        this.resetRecording();
+        this.emit("recordingAborted", { reason, duration });
+    }
+
+    /**
+     * Clear the recording buffer and the bookkeeping for the wake word that started it.
+     */
+    resetRecording() {
+        this.audioBuffer = null;
+        this.wakeWordPeak = null;
+        this.recordingStartSample = null;
+        this.recordingDetectedSample = null;
+        this.heardCommand = false;
+        if (this.pushToTalk) {
+            this.pushToTalk = false;
+            this.pushToTalkStartSample = null;
+            this.emit("pushToTalkEnd");
+        }
+    }
+
+    /**
+     * Ends the recording when it runs too long, or when nothing was said after the wake word.
+     * @param {number} speechProbability - VAD probability of the current batch.
+     */
+    checkRecordingLimits(speechProbability) {
+        if (!this.recording || this.audioBuffer === null) {
+            return;
+        }
+        const sampleRate = this.batcher.targetSampleRate;
+
+        // Speech only counts as a command once the wake word itself has passed
+        const wakeWordPassed = this.wakeWordPeak === null || !this.wakeWordPeak.open;
+        if (wakeWordPassed && speechProbability > this.vad.speechVadThreshold) {
+            this.heardCommand = true;
+        }
+
+        const secondsSinceDetection = (this.analysedSample - this.recordingDetectedSample) / sampleRate;
+        if (this.noSpeechTimeoutSeconds && !this.heardCommand && secondsSinceDetection >= this.noSpeechTimeoutSeconds) {
+            this.abortRecording("noSpeech");
+            return;
+        }
+
+        const duration = this.audioBuffer.length / sampleRate;
+        if (this.maxRecordingSeconds && duration >= this.maxRecordingSeconds) {
+            if (this.debug) {
+                console.log(`Recording reached the ${this.maxRecordingSeconds} s limit`);
+            }
+            // Not sent if trimming left nothing of it
+            const dispatched = this.dispatchOnTimeout && this.dispatchRecording();
+            this.recording = false;
+            this.resetRecording();
+            this.emit("recordingTimeout", { duration, dispatched });
+        }
+    }
+
+    /**
+     * Dispatch recording to all recording listeners.
+     * @returns {boolean} - Whether it was sent, or held until its detection is verified; false if there was nothing to send.
      */
     dispatchRecording() {
         if (this.audioBuffer === null) {
             console.error("No recording to dispatch");
-            return;
+            return false;
+        }
+        if (this.verification !== null && !this.verification.requested) {
+            // Verify before trimming, which may cut the wake word
+            this.requestVerification();
+        }
+        if (this.trimWakeWord && this.wakeWordPeak !== null) {
+            // Cut everything up to the window in which the wake word peaked, less a margin
+            const marginSamples = Math.floor(this.wakeWordTrimMarginSeconds * this.batcher.targetSampleRate);
+            const trimSamples = this.wakeWordPeak.endSample - marginSamples - this.recordingStartSample;
+            if (trimSamples > 0) {
+                this.audioBuffer = this.audioBuffer.slice(Math.min(trimSamples, this.audioBuffer.length));
+            }
+            if (this.debug) {
+                console.log(`Trimmed ${Math.max(trimSamples, 0)} samples of wake word "${this.wakeWordPeak.name}"`);
+            }
+        }
+        if (this.audioBuffer.length === 0) {
+            this.abortRecording("empty");
+            return false;
         }
         if (this.debug) {
             const recordingLength = this.audioBuffer.length;
             const recordedDuration = recordingLength / this.batcher.targetSampleRate;
             console.log(`Dispatching recording with ${recordingLength} frames (${recordedDuration} s)`);
         }
-        for (let callback of this.recordingCallbacks) {
-            callback(this.audioBuffer);
+        if (this.verification !== null) {
+            // Dispatched once the detection is accepted
+            this.heldRecording = this.audioBuffer;
+        } else {
+            this.emit("recording", this.audioBuffer);
+        }
+        this.resetRecording();
+        return true;
+    }
+
+    /**
+     * Sends the detection waiting for verification to `verify` listeners, once its audio is complete:
+     * when the wake word's probability has peaked, or a batch after the detection at the latest.
+     * Detections not resolved within the verification timeout are accepted.
+     */
+    checkVerification() {
+        const verification = this.verification;
+        if (verification === null || verification.requested || this.audioBuffer === null) {
+            return;
+        }
+        const peakClosed = this.wakeWordPeak === null || !this.wakeWordPeak.open;
+        const elapsedSamples = this.analysedSample - verification.detectedSample;
+        if (peakClosed || elapsedSamples >= this.batcher.batchSamples) {
+            this.requestVerification();
         }
-        this.audioBuffer = null;
+    }
+
+    /**
+     * Emits the `verify` event for the detection waiting for verification.
+     */
+    requestVerification() {
+        const verification = this.verification;
+        verification.requested = true;
+        if (this.wakeWordPeak !== null && this.wakeWordPeak.name === verification.name) {
+            verification.peakProbability = this.wakeWordPeak.probability;
+        }
+        this.verificationTimer = setTimeout(() => {
+            if (this.debug) {
+                console.log(`Verification of "${verification.name}" timed out, accepting it`);
+            }
+            this.resolveVerification(verification.id, { accepted: true, transcript: null, similarity: null });
+        }, this.verificationTimeoutSeconds * 1000);
+        this.emit("verify", {
+            id: verification.id,
+            name: verification.name,
+            phrase: verification.phrase,
+            probability: verification.probability,
+            peakProbability: verification.peakProbability,
+            probabilities: verification.probabilities,
+            audio: this.audioBuffer === null ? new Float32Array(0) : this.audioBuffer.slice(),
+            sampleRate: this.batcher.targetSampleRate,
+        });
+    }
+
+    /**
+     * Answers a `verify` event. An accepted detection is emitted as `detected`, followed by its
+     * recording if that has already finished; a rejected one is emitted as `rejected` and its
+     * recording is dropped.
+     * @param {number} id - The id of the `verify` event.
+     * @param {Object} result - `{ accepted, transcript, similarity }`.
+     * @returns {boolean} - Whether the detection was still waiting, false if it was answered or timed out already.
+     */
+    resolveVerification(id, result) {
+        const verification = this.verification;
+        if (verification === null || verification.id !== id) {
+            return false;
+        }
+        const heldRecording = this.heldRecording;
+        this.clearVerification();
+        const { name, phrase, probability, peakProbability, probabilities } = verification;
+        const transcript = result.transcript ?? null;
+
+        if (result.accepted) {
+            this.emit("detected", { name, probability, transcript, bargeIn: verification.bargeIn, speaker: verification.speaker });
+            if (heldRecording !== null) {
+                this.emit("recording", heldRecording);
+            }
+            return true;
+        }
+
+        if (this.debug) {
+            console.log(`Wake word "${name}" rejected, heard "${transcript}"`);
+        }
+        this.emit("rejected", {
+            reason: "transcript",
+            name,
+            phrase,
+            probability,
+            peakProbability,
+            probabilities,
+            transcript,
+            similarity: result.similarity ?? null,
+            speaker: verification.speaker,
+        });
+        if (this.recording) {
+            this.abortRecording("rejected");
+        }
+        return true;
+    }
+
+    /**
+     * Forgets the detection waiting for verification and any recording held for it.
+     */
+    clearVerification() {
+        if (this.verificationTimer !== null) {
+            clearTimeout(this.verificationTimer);
+            this.verificationTimer = null;
+        }
+        this.verification = null;
+        this.heldRecording = null;
     }
 
     /**
      * Trigger wake word detection event.
      * @param {string} name - Name of wake word.
+     * @param {number} [probability=1.0] - Probability of the detection.
      */
-    wakeWordDetected(name) {
+    wakeWordDetected(name, probability = 1.0) {
+        if (this.verification !== null) {
+            // One detection is verified at a time
+            return;
+        }
         const now = Date.now();
-        if (this.wakeWordTimes[name] && (now - this.wakeWordTimes[name]) < this.wakeWordInterval * 1000) {
+        if (this.wakeWordTimes[name] && (now - this.wakeWordTimes[name]) < this.wakeWordOptions[name].cooldown * 1000) {
+            return;
+        }
+        const startsRecording = !this.recording;
+        // Only enrolled speakers start recordings, one already running is not questioned
+        const speaker = startsRecording ? this.identifySpeaker() : null;
+        if (speaker !== null && !speaker.accepted) {
+            // Once per utterance rather than for every frame of it
+            this.wakeWordTimes[name] = now;
+            if (this.debug) {
+                console.log(`Wake word "${name}" rejected, voice closest to "${speaker.name}" (${speaker.similarity.toFixed(3)})`);
+            }
+            this.emit("rejected", {
+                reason: "speaker",
+                name,
+                phrase: this.wakeWordOptions[name].phrase,
+                probability,
+                peakProbability: probability,
+                probabilities: { ...this.wakeWordProbabilities },
+                transcript: null,
+                similarity: null,
+                speaker,
+            });
             return;
         }
         if (this.debug) {
             console.log("Wake word detected:", name);
         }
+        if (startsRecording) {
+            // Remember where the wake word ends so it can be trimmed, see updateWakeWordPeak
+            this.wakeWordPeak = { name, probability, endSample: this.analysedSample, open: true };
+            this.recordingDetectedSample = this.analysedSample;
+        }
         this.recording = true;
         this.wakeWordTimes[name] = now;
 
-        for (let { names, callback } of this.detectedCallbacks) {
-            if (Array.isArray(names) && names.includes(name) || names === name) {
-                callback();
-            }
+        if (this.verifyWakeWords && startsRecording) {
+            // Record as usual, but hold the detection back until it is verified, see checkVerification
+            this.verification = {
+                id: this.nextVerificationId++,
+                name,
+                phrase: this.wakeWordOptions[name].phrase,
+                probability,
+                peakProbability: probability,
+                probabilities: { ...this.wakeWordProbabilities },
+                detectedSample: this.analysedSample,
+                bargeIn: this.assistantSpeaking,
+                speaker,
+                requested: false,
+            };
+            return;
         }
+        this.emit("detected", { name, probability, bargeIn: this.assistantSpeaking, speaker });
     }
 
     /**
@@ -281,53 +1272,537 @@ export class HeyBuddy {
      * @param {Object} data - Processed data.
      */
     processed(data) {
-        for (let callback of this.processedCallbacks) {
-            callback(data);
-        }
+        this.emit("processed", data);
     }
 
     /**
      * Runs wake word detection on a subset of wake words.
      * @param {string[]} wakeWordNames - Names of wake words to check.
-     * @returns {Promise} - Promise that resolves when wake word detection is complete.
+     * @param {Object} [embeddingBuffer] - Embedding tensor to check, defaults to the live buffer.
+     * @returns {Promise<Object[]>} - Promise that resolves to `{ probability, detected, latency }` per wake word, latency in ms.
      */
-    async checkWakeWordSubset(wakeWordNames) {
+    async checkWakeWordSubset(wakeWordNames, embeddingBuffer = this.embeddingBuffer) {
         const results = [];
         for (const name of wakeWordNames) {
-            results.push(await this.wakeWords[name].checkWakeWordCalled(this.embeddingBuffer));
+            // The wake word may have been removed while earlier ones were running
+            const wakeWord = this.wakeWords[name];
+            if (!wakeWord) {
+                results.push(undefined);
+                continue;
+            }
+            const start = performance.now();
+            const running = wakeWord.checkWakeWordCalled(embeddingBuffer);
+            this.wakeWordRuns.set(wakeWord, running);
+            try {
+                const result = await running;
+                results.push({ ...result, latency: performance.now() - start });
+            } finally {
+                if (this.wakeWordRuns.get(wakeWord) === running) {
+                    this.wakeWordRuns.delete(wakeWord);
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Runs wake word detection on several wake words, with the chunks of different threads in parallel.
+     * @param {string[]} wakeWordNames - Names of wake words to check.
+     * @param {Object} [embeddingBuffer] - Embedding tensor to check, defaults to the live buffer.
+     * @returns {Promise<Object>} - Promise that resolves to the results keyed by name, leaving out wake words removed meanwhile.
+     */
+    async checkWakeWordChunks(wakeWordNames, embeddingBuffer = this.embeddingBuffer) {
+        const chunks = this.chunkWakeWords(wakeWordNames);
+        const chunkResults = await Promise.all(
+            chunks.map((chunk) => this.checkWakeWordSubset(chunk, embeddingBuffer))
+        );
+        const results = {};
+        for (let i = 0; i < chunks.length; i++) {
+            for (let j = 0; j < chunks[i].length; j++) {
+                if (chunkResults[i][j] !== undefined) {
+                    results[chunks[i][j]] = chunkResults[i][j];
+                }
+            }
         }
         return results;
     }
 
+    /**
+     * Follows the probability of the wake word that started the recording.
+     * The wake word is considered complete in the window where its probability peaks,
+     * which is where trimming cuts the recording.
+     * @param {Object} wakeWordsCalled - Results of the current batch, keyed by wake word name.
+     */
+    updateWakeWordPeak(wakeWordsCalled) {
+        const peak = this.wakeWordPeak;
+        if (peak === null || !peak.open || !wakeWordsCalled[peak.name]) {
+            return;
+        }
+        const { probability, frameDetected } = wakeWordsCalled[peak.name];
+        if (!frameDetected) {
+            peak.open = false;
+        } else if (probability > peak.probability) {
+            peak.probability = probability;
+            peak.endSample = this.analysedSample;
+        }
+    }
+
+    /**
+     * Runs the detection strategies of wake words on their latest results.
+     * @param {Object} results - Model results keyed by name, `{ probability, detected, ... }`.
+     * @param {Object<string, DetectionStrategy>} strategies - Strategies keyed by name.
+     * @param {Object<string, WakeWordOptions>} wakeWordOptions - Settings keyed by name.
+     * @returns {Object} - The results with `detected` as decided by the strategy, `frameDetected` for the frame alone
+     * at the same threshold, and the strategy's state as `strategy`.
+     */
+    applyDetectionStrategies(results, strategies, wakeWordOptions) {
+        const decisions = {};
+        for (const name in results) {
+            const result = results[name];
+            const strategy = strategies[name];
+            // The threshold given, e.g. raised for noise, not the model's own
+            const frameDetected = result.probability >= wakeWordOptions[name].threshold;
+            if (!strategy) {
+                decisions[name] = { ...result, frameDetected, detected: frameDetected };
+                continue;
+            }
+            const detected = strategy.update(result.probability, wakeWordOptions[name].threshold);
+            decisions[name] = { ...result, frameDetected, detected, strategy: strategy.getState() };
+        }
+        return decisions;
+    }
+
+    /**
+     * Counts a processed batch, and emits `stats` when they are due.
+     */
+    recordFrameStats() {
+        this.batchStats.processed++;
+        this.frameLatency.record(this.frameTime);
+        // The next batch was due before this one was done
+        if (this.frameTime > this.batcher.batchIntervalSeconds * 1000) {
+            this.batchStats.late++;
+        }
+        if (this.statsIntervalSeconds > 0 && this.frameEnd - this.statsEmittedAt >= this.statsIntervalSeconds * 1000) {
+            this.statsEmittedAt = this.frameEnd;
+            this.emit("stats", this.getStats());
+        }
+    }
+
+    /**
+     * Summarizes a model's run times.
+     * @param {Object} model - A model with `latency`, `duration` and `executionProvider`.
+     * @returns {Object} - `{ executionProvider, ema, count, mean, p50, p90, p99, max }`, durations in ms.
+     */
+    getModelStats(model) {
+        return { executionProvider: model.executionProvider, ema: model.duration, ...model.latency.summary() };
+    }
+
+    /**
+     * Reports how the pipeline keeps up with the audio, to tell a missed wake word apart from a slow device.
+     * A batch is `dropped` when the backpressure policy skips it or pausing discards it, and `late` when processing it took longer
+     * than the interval between batches, so the next was due before it was done; `backlog` batches wait.
+     * The real-time factor is processing time per second of audio; above 1 the pipeline falls behind.
+     * Latencies are in ms over the most recent runs. Also emitted as `stats` every `statsIntervalSeconds`.
+     * @returns {Object} - `{ audioSeconds, batches: { processed, dropped, late, backlog }, backpressure, degradedWakeWords, realTimeFactor, frame, models, wakeWords, executionProviders, wakeWordWorkers }`.
+     */
+    getStats() {
+        const batchIntervalMs = this.batcher.batchIntervalSeconds * 1000;
+        const frame = this.frameLatency.summary();
+        const models = {
+            vad: this.getModelStats(this.vad),
+            spectrogram: this.getModelStats(this.spectrogram),
+            embedding: this.getModelStats(this.embedding),
+        };
+        const wakeWords = Object.entries(this.wakeWords).reduce((carry, [name, wakeWord]) => {
+            carry[name] = this.getModelStats(wakeWord);
+            return carry;
+        }, {});
+        const executionProviders = [...new Set(
+            [...Object.values(models), ...Object.values(wakeWords)]
+                .map((stats) => stats.executionProvider)
+                .filter((provider) => provider !== null)
+        )];
+        return {
+            audioSeconds: this.batchStats.processed * this.batcher.batchIntervalSeconds,
+            batches: { ...this.batchStats, backlog: this.backlog.length },
+            backpressure: this.backpressure,
+            degradedWakeWords: [...this.degradedWakeWords],
+            realTimeFactor: frame.mean === null ? null : frame.mean / batchIntervalMs,
+            frame: { ...frame, ema: this.frameTimeEma, intervalEma: this.frameIntervalEma, budget: batchIntervalMs },
+            models,
+            wakeWords,
+            executionProviders,
+            wakeWordWorkers: this.wakeWordPool !== null ? this.wakeWordThreads : 0,
+        };
+    }
+
+    /**
+     * Starts the counts and latencies of getStats over, e.g. after changing a setting to compare against.
+     */
+    resetStats() {
+        this.batchStats = { processed: 0, dropped: 0, late: 0 };
+        this.frameLatency.reset();
+        this.statsEmittedAt = (new Date()).getTime();
+        [this.vad, this.spectrogram, this.embedding, ...Object.values(this.wakeWords)].forEach((model) => model.latency.reset());
+    }
+
     /**
      * Run wake word detection on audio.
+     * When not listening the models are skipped, and the strategies see a probability of zero,
+     * so their history keeps moving and a wake word cut off by silence can still complete.
+     * @param {boolean} [listening=true] - Whether to run the models.
      * @returns {Promise} - Promise that resolves when wake word detection is complete.
      */
-    async checkWakeWords() {
-        const returnMap = {};
-        for (let nameChunk of this.chunkedWakeWords) {
-            const wakeWordsCalled = await this.checkWakeWordSubset(nameChunk);
-            for (let i = 0; i < nameChunk.length; i++) {
-                const name = nameChunk[i];
-                const wordCalled = wakeWordsCalled[i];
-                returnMap[name] = wordCalled;
+    async checkWakeWords(listening = true) {
+        const results = listening
+            ? await this.checkWakeWordChunks(this.activeWakeWords)
+            : this.activeWakeWords.reduce((carry, name) => {
+                carry[name] = { probability: 0.0, detected: false, active: false };
+                return carry;
+            }, {});
+        const returnMap = this.applyDetectionStrategies(results, this.detectionStrategies, this.getEffectiveWakeWordOptions());
+        for (let name in this.wakeWords) {
+            if (!returnMap[name]) {
+                if (this.detectionStrategies[name]) {
+                    this.detectionStrategies[name].reset();
+                }
+                returnMap[name] = { probability: 0.0, detected: false, enabled: false, degraded: this.degradedWakeWords.has(name) };
             }
         }
+        this.updateWakeWordPeak(returnMap);
+        this.wakeWordProbabilities = Object.fromEntries(
+            Object.entries(returnMap).map(([name, result]) => [name, result.probability])
+        );
         for (let name in returnMap) {
-            if (returnMap[name].detected) {
-                this.wakeWordDetected(name);
+            if (returnMap[name].detected && this.wakeWords[name]) {
+                this.wakeWordDetected(name, returnMap[name].probability);
             }
         }
         return returnMap;
     }
 
+    /**
+     * Creates a stream that computes embeddings for consecutive windows of audio.
+     * @returns {FeatureStream} - The stream.
+     */
+    createFeatureStream() {
+        return new FeatureStream(this.spectrogram, this.embedding, {
+            melBins: this.spectrogramMelBins,
+            incremental: this.incrementalFeatures,
+            debug: this.debug,
+        });
+    }
+
+    /**
+     * Computes the embedding for a window of audio and appends it to a rolling embedding buffer.
+     * @param {Float32Array} audio - One batch of audio samples.
+     * @param {Object[]} embeddingBufferArray - Previous embeddings, updated in place.
+     * @param {FeatureStream} [features] - Stream to compute the embedding with, defaults to the live one.
+     * @param {number} [endSample] - Absolute position of the end of the window, lets the stream reuse earlier frames.
+     * @returns {Promise<Object>} - Promise that resolves to the combined embedding tensor.
+     */
+    async computeEmbeddingBuffer(audio, embeddingBufferArray, features = this.features, endSample = null) {
+        const embedding = await features.compute(audio, endSample);
+        const numFramesPerEmbedding = embedding.dims[0];
+        const maxEmbeddings = this.wakeWordEmbeddingFrames / numFramesPerEmbedding;
+
+        // We want to run it via a "window" of audio samples at a time
+        // so we add a new element, remove the first element, then analyze the new section of audio
+        // (or rather audio embeddings) to see if the voice keyword is detected there
+        embeddingBufferArray.push(embedding);
+        if (embeddingBufferArray.length > maxEmbeddings) embeddingBufferArray.shift();
+
+        return await embeddingBufferArrayToEmbedding(embeddingBufferArray, numFramesPerEmbedding, this.embeddingDim);
+    }
+
+    /**
+     * Computes the inputs wake word models see for a recording, one per hop, windowed exactly
+     * like live audio. This is what WakeWordTrainer trains on.
+     * Times are in seconds from the start of the recording and refer to the end of the window.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio, defaults to the target sample rate.
+     * @returns {Promise<Object>} - Promise that resolves to `{ windows, times, frames, embeddingDim }`,
+     * each window `frames * embeddingDim` values; hops before the embedding buffer has filled up are left out.
+     */
+    async extractFeatures(audio, sampleRate) {
+        const windows = [];
+        const times = [];
+        await this.forEachHop(audio, sampleRate, ({ time, embeddingBuffer }) => {
+            if (embeddingBuffer.dims[0] === this.wakeWordEmbeddingFrames) {
+                windows.push(embeddingBuffer.data.slice());
+                times.push(time);
+            }
+        });
+        return { windows, times, frames: this.wakeWordEmbeddingFrames, embeddingDim: this.embeddingDim };
+    }
+
+    /**
+     * Windows a recording exactly like live audio from the batcher, one window per hop, and computes
+     * the embedding buffer of each with a feature stream of its own. Used by scan and extractFeatures,
+     * so neither can drift from what live detection computes.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio, defaults to the target sample rate.
+     * @param {Function} callback - Called and awaited for each hop with `{ time, window, lastBatch, embeddingBuffer }`;
+     * `time` is in seconds from the start of the recording and refers to the end of the window, `lastBatch` is its newest hop.
+     * @returns {Promise<number>} - Promise that resolves to the duration of the recording in seconds.
+     */
+    async forEachHop(audio, sampleRate, callback) {
+        const targetSampleRate = this.batcher.targetSampleRate;
+        const batchSamples = this.batcher.batchSamples;
+        const hopSamples = this.batcher.batchIntervalSamples;
+
+        audio = resample(audio, sampleRate || targetSampleRate, targetSampleRate);
+
+        // Lead with a batch of silence, as the live buffer does, and pad to a whole number of hops
+        const numHops = Math.ceil(audio.length / hopSamples);
+        const padded = new Float32Array(batchSamples + numHops * hopSamples);
+        padded.set(audio, batchSamples);
+
+        const embeddingBufferArray = [];
+        const features = this.createFeatureStream();
+        for (let hop = 1; hop <= numHops; hop++) {
+            const end = hop * hopSamples;
+            const window = padded.subarray(end, end + batchSamples);
+            const embeddingBuffer = await this.computeEmbeddingBuffer(window, embeddingBufferArray, features, end + batchSamples);
+            await callback({
+                time: end / targetSampleRate,
+                window,
+                lastBatch: window.subarray(batchSamples - hopSamples),
+                embeddingBuffer,
+            });
+        }
+        return audio.length / targetSampleRate;
+    }
+
+    /**
+     * Scans a whole recording for wake words and speech, faster than real time.
+     * The recording is windowed exactly like live audio from the batcher, but uses its own
+     * VAD and embedding state, so it can run while the instance is listening.
+     * Times are in seconds from the start of the recording and refer to the end of the analysed window.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio, defaults to the target sample rate.
+     * @param {Object} [options] - Options object.
+     * @param {boolean} [options.gateOnSpeech=true] - Only run wake word models while the VAD reports speech, like live processing.
+     * @param {boolean} [options.includeFrames=false] - Whether to return the per-window probabilities.
+     * @returns {Promise<Object>} - Promise that resolves to `{ duration, detections, speech, frames, thresholds, cooldowns }`.
+     */
+    async scan(audio, sampleRate, options) {
+        options = options || {};
+        const gateOnSpeech = options.gateOnSpeech !== false;
+        const hopSeconds = this.batcher.batchIntervalSamples / this.batcher.targetSampleRate;
+
+        const vadState = this.vad.createState();
+        const names = this.enabledWakeWords;
+        const wakeWordOptions = names.reduce((carry, name) => {
+            carry[name] = this.getWakeWordOptions(name);
+            return carry;
+        }, {});
+        // Fresh strategies, so the scan does not disturb live detection
+        const strategies = names.reduce((carry, name) => {
+            carry[name] = createDetectionStrategy(wakeWordOptions[name].strategy);
+            return carry;
+        }, {});
+        const collapsers = names.reduce((carry, name) => {
+            carry[name] = new DetectionCollapser(name, wakeWordOptions[name].cooldown);
+            return carry;
+        }, {});
+        const detections = [];
+        const speech = [];
+        const frames = [];
+        let speechSegment = null;
+
+        const duration = await this.forEachHop(audio, sampleRate, async ({ time, lastBatch, embeddingBuffer }) => {
+            const { isSpeaking, speechProbability, justStartedSpeaking, justStoppedSpeaking } = await this.vad.hasSpeechAudio(lastBatch, vadState);
+
+            // Track speech segments
+            if (justStartedSpeaking) {
+                speechSegment = { start: time - hopSeconds, end: time, peakProbability: 0.0 };
+            }
+            if (speechSegment !== null) {
+                if (speechProbability >= this.vad.silenceVadThreshold) {
+                    speechSegment.end = time;
+                }
+                speechSegment.peakProbability = Math.max(speechSegment.peakProbability, speechProbability);
+                if (justStoppedSpeaking) {
+                    speech.push(speechSegment);
+                    speechSegment = null;
+                }
+            }
+
+            // Run wake words and collapse consecutive positive windows into detections
+            const wakeWords = {};
+            const listening = (!gateOnSpeech || isSpeaking) && embeddingBuffer.dims[0] === this.wakeWordEmbeddingFrames;
+            const results = listening ? await this.checkWakeWordChunks(names, embeddingBuffer) : {};
+            const decisions = this.applyDetectionStrategies(
+                names.reduce((carry, name) => {
+                    carry[name] = results[name] || { probability: 0.0, detected: false };
+                    return carry;
+                }, {}),
+                strategies,
+                wakeWordOptions
+            );
+            for (const name of names) {
+                const { probability, detected } = decisions[name];
+                wakeWords[name] = probability;
+                const detection = collapsers[name].update(time, probability, detected);
+                if (detection !== null) {
+                    detections.push(detection);
+                }
+            }
+
+            if (options.includeFrames) {
+                frames.push({ time, speech: speechProbability, listening, wakeWords });
+            }
+        });
+
+        if (speechSegment !== null) {
+            speech.push(speechSegment);
+        }
+
+        return {
+            duration,
+            detections,
+            speech,
+            frames,
+            thresholds: names.reduce((carry, name) => {
+                carry[name] = wakeWordOptions[name].threshold;
+                return carry;
+            }, {}),
+            cooldowns: names.reduce((carry, name) => {
+                carry[name] = wakeWordOptions[name].cooldown;
+                return carry;
+            }, {}),
+            strategies: names.reduce((carry, name) => {
+                carry[name] = wakeWordOptions[name].strategy;
+                return carry;
+            }, {}),
+        };
+    }
+
+    /**
+     * Takes a batch from the batcher. Its new audio is captured right away, into the pre-roll and any
+     * recording, so recordings have no gaps however long inference takes. The batch then waits in the
+     * backlog until inference gets to it, as the backpressure policy allows.
+     * @param {Float32Array} batch - Audio samples, the batch window.
+     * @param {number} [endSample] - Absolute position of the end of the batch in the stream.
+     * @returns {Promise} - Promise that resolves once the backlog is worked through, so paced sources wait for inference.
+     */
+    receiveBatch(batch, endSample = null) {
+        if (this.paused) return;
+        this.capture(batch, endSample);
+        if (this.backpressure === "latest") {
+            // Only the newest batch waits
+            this.batchStats.dropped += this.backlog.length;
+            this.backlog = [];
+        } else if (this.backlog.length >= this.maxBacklogBatches) {
+            this.backlog.shift();
+            this.batchStats.dropped++;
+        }
+        this.backlog.push({ batch, endSample });
+        if (this.draining === null) {
+            this.draining = this.drain();
+        }
+        return this.draining;
+    }
+
+    /**
+     * Captures the audio a batch adds, into the pre-roll and any started recording.
+     * @param {Float32Array} batch - Audio samples, the batch window.
+     * @param {number} [endSample] - Absolute position of the end of the batch in the stream.
+     */
+    capture(batch, endSample = null) {
+        const newSamples = endSample === null
+            ? this.batcher.batchIntervalSamples
+            : Math.min(batch.length, endSample - this.capturedSample);
+        this.capturedSample = endSample ?? this.capturedSample + newSamples;
+        const samples = batch.subarray(batch.length - newSamples);
+        this.preRoll.write(samples);
+        if (this.recording && this.audioBuffer !== null) {
+            const concatenated = new Float32Array(this.audioBuffer.length + samples.length);
+            concatenated.set(this.audioBuffer);
+            concatenated.set(samples, this.audioBuffer.length);
+            this.audioBuffer = concatenated;
+        }
+    }
+
+    /**
+     * Runs inference on the backlog, oldest first, until it is empty. Pausing drops what is left.
+     */
+    async drain() {
+        try {
+            while (this.backlog.length > 0 && !this.paused) {
+                const { batch, endSample } = this.backlog.shift();
+                await this.process(batch, endSample);
+            }
+            // Paused with batches still waiting, they count as dropped like those the backpressure policy skips
+            this.batchStats.dropped += this.backlog.length;
+            this.backlog = [];
+        } finally {
+            this.draining = null;
+        }
+    }
+
+    /**
+     * Sets what inference does when it falls behind the audio, see BACKPRESSURE_POLICIES.
+     * Recordings are captured in full under every policy.
+     * @param {string} policy - `catchUp`, `latest` or `degrade`.
+     * @throws {Error} - If the policy is unknown.
+     */
+    setBackpressure(policy) {
+        if (!BACKPRESSURE_POLICIES.includes(policy)) {
+            throw new Error(`Unknown backpressure policy "${policy}", expected one of ${BACKPRESSURE_POLICIES.join(", ")}`);
+        }
+        this.backpressure = policy;
+        if (policy !== "degrade" && this.degradedWakeWords.size > 0) {
+            this.degradedWakeWords.clear();
+            this.emit("degraded", { wakeWords: [] });
+        }
+    }
+
+    /**
+     * Under the `degrade` policy, skips the slowest wake word while inference cannot keep up,
+     * and brings skipped ones back, most recent first, once there is time to spare.
+     * At least one wake word keeps running; changes wait for the frame time to settle.
+     */
+    adjustDegradation() {
+        if (this.backpressure !== "degrade") {
+            return;
+        }
+        if (this.degradationHold > 0) {
+            this.degradationHold--;
+            return;
+        }
+        const budget = this.batcher.batchIntervalSeconds * 1000;
+        const running = this.activeWakeWords;
+        if ((this.frameTimeEma > budget || this.backlog.length > 1) && running.length > 1) {
+            // The slowest model frees the most time
+            const slowest = running.reduce((a, b) => this.wakeWords[b].duration > this.wakeWords[a].duration ? b : a);
+            this.degradedWakeWords.add(slowest);
+        } else if (this.frameTimeEma < budget * 0.5 && this.backlog.length === 0 && this.degradedWakeWords.size > 0) {
+            this.degradedWakeWords.delete([...this.degradedWakeWords].pop());
+        } else {
+            return;
+        }
+        // The frame time EMA needs about this long to reflect the change
+        this.degradationHold = Math.ceil(1 / this.frameTimeEmaWeight);
+        if (this.debug) {
+            console.log("Degraded wake words:", [...this.degradedWakeWords]);
+        }
+        this.emit("degraded", { wakeWords: [...this.degradedWakeWords] });
+    }
+
     /**
      * Process audio batch.
      * @param {Float32Array} audio - Audio samples.
+     * @param {number} [endSample] - Absolute position of the end of the batch in the stream.
      */
-    async process(audio) {
-        // Simple lock to prevent re-entrancy if processing takes longer than the interval
-        if (this.isProcessing || this.paused) return;
+    async process(audio, endSample = null) {
+        if (this.paused) return;
+        // Simple lock to prevent re-entrancy, batches from the batcher are queued by receiveBatch
+        if (this.isProcessing) {
+            this.batchStats.dropped++;
+            return;
+        }
         this.isProcessing = true;
 
         try {
@@ -345,69 +1820,52 @@ export class HeyBuddy {
                 this.frameIntervalEma = this.frameIntervalEma * (1 - this.frameIntervalEmaWeight) + this.frameInterval * this.frameIntervalEmaWeight;
             }
 
-            // Get the last batch of samples
+            // Get the last batch of samples, already captured by receiveBatch
             const lastBatch = audio.subarray(audio.length - this.batcher.batchIntervalSamples);
+            this.analysedSample = endSample ?? this.capturedSample;
 
-            // Calculate the spectrogram for this buffer, assert it is exactly one window
-            const spectrograms = await this.spectrogram.run(audio);
-            const embedding = await this.embedding.getEmbeddingFromMelSpectrogramOutput(spectrograms);
-            const numFramesPerEmbedding = embedding.dims[0];
-            const maxEmbeddings = this.wakeWordEmbeddingFrames / numFramesPerEmbedding;
-
-
-            // We want to run it via a "window" of audio samples at a time
-            // so we add a new element, remove the first element, then analyze the new section of audio
-            // (or rather audio embeddings) to see if the voice keyword is detected there
-            this.embeddingBufferArray.push(embedding);
-            if (this.embeddingBufferArray.length > maxEmbeddings) this.embeddingBufferArray.shift();
-
-            this.embeddingBuffer = await embeddingBufferArrayToEmbedding(this.embeddingBufferArray, numFramesPerEmbedding, this.embeddingDim);
+            this.embeddingBuffer = await this.computeEmbeddingBuffer(audio, this.embeddingBufferArray, this.features, endSample);
             const { isSpeaking, speechProbability, justStoppedSpeaking, justStartedSpeaking } = await this.vad.hasSpeechAudio(lastBatch);
 
             if (justStartedSpeaking) this.speechStart();
             if (justStoppedSpeaking) this.speechEnd();
 
-            if (isSpeaking && this.embeddingBuffer.dims[0] === this.wakeWordEmbeddingFrames) {
-                // If we're listening, run wake word detection
-                const wakeWordsCalled = await this.checkWakeWords();
-                // Trigger callbacks with processed data
-                this.processed({
-                    listening: true,
-                    recording: this.recording,
-                    speech: { probability: speechProbability, active: isSpeaking },
-                    wakeWords: wakeWordsCalled
-                });
-            } else {
-                // Trigger callbacks right away if we're not listening
-                this.processed({
-                    listening: false,
-                    recording: this.recording,
-                    speech: { probability: speechProbability, active: isSpeaking },
-                    wakeWords: Object.entries(this.wakeWords).reduce(
-                        (carry, [name, model]) => {
-                            carry[name] = {
-                                probability: 0.0,
-                                active: false
-                            };
-                            return carry;
-                        },
-                        {}
-                    )
-                });
+            // Learn the room from audio that is only the room
+            const calibrating = this.noiseCalibrator.calibrating;
+            const ambient = !this.recording && !this.assistantSpeaking;
+            if (this.noiseCalibrator.update(speechProbability, lastBatch, { ambient, speaking: isSpeaking })) {
+                this.applyCalibration();
+                if (calibrating && !this.noiseCalibrator.calibrating) {
+                    this.endCalibration();
+                }
             }
 
-            // If we're recording, append audio to buffer
+            // If we're listening, run wake word detection, otherwise only step the detection strategies
+            const listening = isSpeaking && this.embeddingBuffer.dims[0] === this.wakeWordEmbeddingFrames;
+            const wakeWordStart = performance.now();
+            const wakeWordsCalled = await this.checkWakeWords(listening);
+            // Trigger callbacks with processed data, each wake word carries its own latency and strategy state
+            this.processed({
+                listening,
+                recording: this.recording,
+                speech: { probability: speechProbability, active: isSpeaking },
+                wakeWords: wakeWordsCalled,
+                wakeWordTime: listening ? performance.now() - wakeWordStart : 0,
+                echo: this.echoCanceller.getMetrics(),
+                noise: this.noiseCalibrator.getNoiseFloor(),
+            });
+
+            // A new recording starts from the pre-roll before this batch, and takes all audio captured since;
+            // receiveBatch appends what comes next
             if (this.recording) {
                 if (this.audioBuffer === null) {
-                    this.audioBuffer = new Float32Array(audio.length);
-                    this.audioBuffer.set(audio);
-                } else {
-                    const concatenated = new Float32Array(this.audioBuffer.length + lastBatch.length);
-                    concatenated.set(this.audioBuffer);
-                    concatenated.set(lastBatch, this.audioBuffer.length);
-                    this.audioBuffer = concatenated;
+                    this.audioBuffer = this.preRoll.read(this.preRollSamples + this.capturedSample - this.analysedSample);
+                    this.recordingStartSample = this.capturedSample - this.audioBuffer.length;
                 }
+                this.checkRecordingLimits(speechProbability);
             }
+            this.checkVerification();
+            this.checkFollowUp();
 
             // Stop timer
             this.frameEnd = (new Date()).getTime();
@@ -417,6 +1875,13 @@ export class HeyBuddy {
             } else {
                 this.frameTimeEma = this.frameTimeEma * (1 - this.frameTimeEmaWeight) + this.frameTime * this.frameTimeEmaWeight;
             }
+            this.recordFrameStats();
+            this.adjustDegradation();
+        } catch (error) {
+            // Report instead of rejecting inside the batcher, the next batch is processed as usual
+            if (!this.disposed) {
+                this.emit("error", error);
+            }
         } finally {
             this.isProcessing = false;
         }
@@ -0,0 +1,54 @@
+/** @module latency-stats */
+
+/**
+ * Keeps the most recent durations of something that runs repeatedly, e.g. a model, for percentiles.
+ */
+export class LatencyStats {
+    /**
+     * @param {number} [capacity=256] - How many of the latest durations are kept.
+     */
+    constructor(capacity = 256) {
+        this.durations = new Float64Array(capacity);
+        this.reset();
+    }
+
+    /**
+     * Forgets all durations.
+     */
+    reset() {
+        this.count = 0; // Recorded since the last reset, also those no longer kept
+        this.next = 0;
+    }
+
+    /**
+     * Records a duration.
+     * @param {number} duration - Duration in ms.
+     */
+    record(duration) {
+        this.durations[this.next] = duration;
+        this.next = (this.next + 1) % this.durations.length;
+        this.count++;
+    }
+
+    /**
+     * Summarizes the kept durations.
+     * @returns {{count: number, mean: number|null, p50: number|null, p90: number|null, p99: number|null, max: number|null}}
+     * - Durations in ms, null before the first; `count` is of all durations recorded.
+     */
+    summary() {
+        const kept = Math.min(this.count, this.durations.length);
+        if (kept === 0) {
+            return { count: 0, mean: null, p50: null, p90: null, p99: null, max: null };
+        }
+        const sorted = this.durations.slice(0, kept).sort();
+        const percentile = (p) => sorted[Math.min(kept - 1, Math.floor(p * kept))];
+        return {
+            count: this.count,
+            mean: sorted.reduce((sum, duration) => sum + duration, 0.0) / kept,
+            p50: percentile(0.5),
+            p90: percentile(0.9),
+            p99: percentile(0.99),
+            max: sorted[kept - 1],
+        };
+    }
+}
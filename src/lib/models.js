@@ -3,3 +3,4 @@ export { SileroVAD } from "./models/vad.js";
 export { MelSpectrogram } from "./models/mel-spectrogram.js";
 export { SpeechEmbedding } from "./models/speech-embedding.js";
 export { WakeWord } from "./models/wake-word.js";
+export { TrainedWakeWord } from "./models/trained-wake-word.js";
@@ -1,6 +1,7 @@
 /** @module models/base */
-import { sleep } from "../helpers.js";
 import { ONNX } from "../onnx.js";
+import { Mutex } from "../mutex.js";
+import { LatencyStats } from "../latency-stats.js";
 
 /**
  * Base class for ONNX models
@@ -8,7 +9,7 @@ import { ONNX } from "../onnx.js";
 export class ONNXModel {
     /**
      * Constructor
-     * @param {string} modelPath - Path to the ONNX model
+     * @param {string|ArrayBuffer|Uint8Array} modelPath - Path to the ONNX model, or its contents
      * @param {Object} options - Options
      */
     constructor(
@@ -24,13 +25,20 @@ export class ONNXModel {
         this.duration = 0.0; // EMA duration
         this.ema = 0.1; // EMA coefficient
         this.lastTime = 0.0; // Last time the model was run
+        this.lastDuration = 0.0; // Duration of the last run
+        this.latency = new LatencyStats(); // Recent durations, for percentiles
+        this.executionProvider = null; // The provider the session was created with, once loaded
+        this.mutex = new Mutex(); // Sessions can only run one inference at a time
+        this.released = false;
         this.webnn = webnn;
         this.webgpu = webgpu;
         this.webgl = webgl;
         this.wasm = wasm;
         // 0 for default, -1 for low power, 1 for high power
         this.power = power;
-        this.load();
+        // Failures surface through waitUntilLoaded, so they are not reported as unhandled here
+        this.loading = this.load();
+        this.loading.catch(() => {});
     }
 
     /**
@@ -90,15 +98,35 @@ export class ONNXModel {
      * Initialize the model
      */
     async load() {
-        this.session = await ONNX.createInferenceSession(this.modelPath, this.sessionOptions);
+        const sessionOptions = this.sessionOptions;
+        this.session = await ONNX.createInferenceSession(this.modelPath, sessionOptions);
+        const provider = sessionOptions.executionProviders[0];
+        this.executionProvider = typeof provider === "string" ? provider : provider.name;
+    }
+
+    /**
+     * Release the session, waiting for any running inference to finish first
+     */
+    async release() {
+        // A model that failed to load has no session, but is still marked released
+        await this.loading.catch(() => {});
+        await this.mutex.runExclusive(async () => {
+            if (this.session !== null) {
+                await this.session.release();
+            }
+            this.session = null;
+            this.released = true;
+        });
     }
 
     /**
      * Waits until the model is loaded
+     * @throws {Error} - If the model failed to load or has been released
      */
     async waitUntilLoaded() {
-        while (this.session === null) {
-            await sleep(1);
+        await this.loading;
+        if (this.released) {
+            throw new Error("Model has been released");
         }
     }
 
@@ -114,21 +142,31 @@ export class ONNXModel {
 
     /**
      * Run the model
+     * Calls are serialized, so live processing and offline scans can share a model.
      * @param {Mixed} input - Input data
+     * @param {...Mixed} args - Additional arguments passed to execute
      * @returns {Promise} - Promise that resolves with the output of the model
      */
-    async run(input) {
+    async run(input, ...args) {
         await this.waitUntilLoaded();
-        const currentTime = new Date().getTime();
-        const result = await this.execute(input);
-        const executionDuration = new Date().getTime() - currentTime;
-        // Update EMA
-        if (this.duration === 0.0) {
-            this.duration = executionDuration;
-        } else {
-            this.duration = (1.0 - this.ema) * this.duration + this.ema * executionDuration;
-        }
-        this.lastTime = currentTime;
-        return result;
+        return await this.mutex.runExclusive(async () => {
+            if (this.released) {
+                throw new Error("Model has been released");
+            }
+            const currentTime = new Date().getTime();
+            const start = performance.now();
+            const result = await this.execute(input, ...args);
+            const executionDuration = performance.now() - start;
+            this.lastDuration = executionDuration;
+            this.latency.record(executionDuration);
+            // Update EMA
+            if (this.duration === 0.0) {
+                this.duration = executionDuration;
+            } else {
+                this.duration = (1.0 - this.ema) * this.duration + this.ema * executionDuration;
+            }
+            this.lastTime = currentTime;
+            return result;
+        });
     }
 }
@@ -0,0 +1,145 @@
+/** @module models/trained-wake-word */
+import { LatencyStats } from "../latency-stats.js";
+
+/**
+ * Value of `format` in a serialized classifier head.
+ * @type {string}
+ */
+export const TRAINED_WAKE_WORD_FORMAT = "hey-buddy-head";
+
+/**
+ * A wake word classifier head trained in the browser, see WakeWordTrainer.
+ * Plain data, so it can be stored in IndexedDB and posted to workers.
+ * @typedef {Object} TrainedWakeWordModel
+ * @property {string} format - Always `hey-buddy-head`.
+ * @property {number} version - Format version, 1.
+ * @property {number} frames - Embedding frames per input, as in the live embedding buffer.
+ * @property {number} embeddingDim - Dimension of an embedding.
+ * @property {number} hiddenUnits - Size of the hidden layer.
+ * @property {Float32Array} mean - Per dimension mean of the training embeddings, subtracted from the input.
+ * @property {Float32Array} std - Per dimension standard deviation of the training embeddings, the input is divided by it.
+ * @property {Float32Array} w1 - Hidden layer weights, `hiddenUnits` rows of `frames * embeddingDim`.
+ * @property {Float32Array} b1 - Hidden layer biases.
+ * @property {Float32Array} w2 - Output weights, one per hidden unit.
+ * @property {number} b2 - Output bias.
+ */
+
+/**
+ * Whether a value is a serialized classifier head rather than an ONNX model.
+ * @param {Mixed} model - A model given to HeyBuddy.
+ * @returns {boolean} - Whether it is a TrainedWakeWordModel.
+ */
+export function isTrainedWakeWordModel(model) {
+    return model !== null && typeof model === "object" && model.format === TRAINED_WAKE_WORD_FORMAT;
+}
+
+/**
+ * Runs a classifier head on one input.
+ * @param {TrainedWakeWordModel} model - The classifier head.
+ * @param {Float32Array} input - `frames * embeddingDim` embedding values.
+ * @returns {number} - The probability of the wake word.
+ */
+export function predictTrainedWakeWord(model, input) {
+    const { embeddingDim, hiddenUnits, mean, std, w1, b1, w2, b2 } = model;
+    const inputSize = input.length;
+    let logit = b2;
+    for (let unit = 0; unit < hiddenUnits; unit++) {
+        const offset = unit * inputSize;
+        let sum = b1[unit];
+        for (let i = 0; i < inputSize; i++) {
+            const d = i % embeddingDim;
+            sum += w1[offset + i] * (input[i] - mean[d]) / std[d];
+        }
+        logit += w2[unit] * Math.max(0, sum);
+    }
+    return 1 / (1 + Math.exp(-logit));
+}
+
+/**
+ * A wake word model that is a small classifier head over the speech embeddings, trained in
+ * the browser. It is small enough to run on the calling thread, and has the same interface
+ * as WakeWord, so HeyBuddy uses it alongside the ONNX models.
+ */
+export class TrainedWakeWord {
+    /**
+     * @param {TrainedWakeWordModel} model - The classifier head.
+     * @param {number} threshold - Threshold for wake word detection.
+     */
+    constructor(model, threshold) {
+        this.model = model;
+        this.threshold = threshold;
+        this.duration = 0.0; // EMA duration
+        this.ema = 0.1; // EMA coefficient
+        this.latency = new LatencyStats(); // Recent durations, for percentiles
+        this.executionProvider = "js"; // Plain JavaScript on the calling thread
+        this.released = false;
+    }
+
+    /**
+     * Checks the head is complete and runs it once.
+     * @param {boolean} debug - Whether to log debug messages.
+     * @throws {Error} - If the head is malformed or gives no probability.
+     */
+    async test(debug = false) {
+        const { version, frames, embeddingDim, hiddenUnits, mean, std, w1, b1, w2 } = this.model;
+        if (version !== 1) {
+            throw new Error(`Unsupported trained wake word version ${version}`);
+        }
+        if (mean.length !== embeddingDim || std.length !== embeddingDim
+            || w1.length !== hiddenUnits * frames * embeddingDim
+            || b1.length !== hiddenUnits || w2.length !== hiddenUnits) {
+            throw new Error("Trained wake word has weights of the wrong size");
+        }
+        const output = await this.run({ data: new Float32Array(frames * embeddingDim) });
+        if (0.0 <= output && output <= 1.0) {
+            if (debug) {
+                console.log(`Trained wake word OK, executed in ${this.duration} ms`);
+            }
+        } else {
+            throw new Error(`Trained wake word test failed - expected 0 <= x <= 1, got ${output}`);
+        }
+    }
+
+    /**
+     * Run the model.
+     * @param {Object} embeddings - Embedding tensor, `[frames, embeddingDim]`.
+     * @returns {Promise<number>} - Promise that resolves with the probability.
+     * @throws {Error} - If the model has been released or the input has the wrong size.
+     */
+    async run(embeddings) {
+        if (this.released) {
+            throw new Error("Model has been released");
+        }
+        const expected = this.model.frames * this.model.embeddingDim;
+        if (embeddings.data.length !== expected) {
+            throw new Error(`Trained wake word expects ${expected} embedding values, got ${embeddings.data.length}`);
+        }
+        const start = performance.now();
+        const probability = predictTrainedWakeWord(this.model, embeddings.data);
+        const executionDuration = performance.now() - start;
+        this.latency.record(executionDuration);
+        this.duration = this.duration === 0.0 ? executionDuration : (1.0 - this.ema) * this.duration + this.ema * executionDuration;
+        return probability;
+    }
+
+    /**
+     * Check if the wake word is detected based on the threshold.
+     * @param {Object} embeddings - Embedding tensor.
+     * @returns {Promise<Object>} - Promise that resolves with an object containing probability and detected status.
+     */
+    async checkWakeWordCalled(embeddings) {
+        const probability = await this.run(embeddings);
+
+        return {
+            probability,
+            detected: probability >= this.threshold
+        };
+    }
+
+    /**
+     * Release the model. There is no session, later runs fail like those of a released ONNX model.
+     */
+    async release() {
+        this.released = true;
+    }
+}
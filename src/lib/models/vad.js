@@ -39,8 +39,29 @@ export class SileroVAD extends ONNXModel {
         this.speechVadThreshold = speechVadThreshold;
         this.silenceVadThreshold = silenceVadThreshold;
         this.silentFramesCount = silentFramesCount;
-        this.silentFrames = 0;
-        this.isSpeaking = false;
+        this.state = this.createState();
+    }
+
+    /**
+     * Create a fresh recurrent and debouncing state
+     * Separate states allow the same model to follow several independent audio streams
+     * @returns {Object} - State object holding the LSTM tensors and speech debouncing counters
+     */
+    createState() {
+        return {
+            h: undefined,
+            c: undefined,
+            silentFrames: 0,
+            isSpeaking: false,
+        };
+    }
+
+    /**
+     * Whether the live stream is currently considered speech
+     * @type {boolean}
+     */
+    get isSpeaking() {
+        return this.state.isSpeaking;
     }
 
     /**
@@ -62,24 +83,27 @@ export class SileroVAD extends ONNXModel {
     /**
      * Execute the model
      * @param {Float32Array} input - Input data
+     * @param {Object} [state] - State to read and update, defaults to the live state
      * @returns {Promise} - Promise that resolves with the output of the model, which is a single float
      * @throws {Error} - If the input data is not a Float32Array
      */
-    async execute(input) {
-        if (this.h === undefined || this.c === undefined || this.sr === undefined) {
+    async execute(input, state = this.state) {
+        if (this.sr === undefined) {
             this.sr = await ONNX.createTensor("int64", [this.sampleRate], [1]);
-            this.h = await ONNX.createTensor("float32", (new Array(128)).fill(0), [2, 1, 64]);
-            this.c = await ONNX.createTensor("float32", (new Array(128)).fill(0), [2, 1, 64]);
+        }
+        if (state.h === undefined || state.c === undefined) {
+            state.h = await ONNX.createTensor("float32", (new Array(128)).fill(0), [2, 1, 64]);
+            state.c = await ONNX.createTensor("float32", (new Array(128)).fill(0), [2, 1, 64]);
         }
         const inputTensor = await ONNX.createTensor("float32", input, [1, input.length]);
         const output = await this.session.run({
             input: inputTensor,
-            h: this.h,
-            c: this.c,
+            h: state.h,
+            c: state.c,
             sr: this.sr,
         });
-        this.c = output.cn;
-        this.h = output.hn;
+        state.c = output.cn;
+        state.h = output.hn;
         return output.output.data[0];
     }
 
@@ -91,13 +115,14 @@ export class SileroVAD extends ONNXModel {
      * we do this alot lol
      * 
      * @param {Float32Array} audio - Audio data to check for speech
+     * @param {Object} [state] - State to read and update, defaults to the live state
      * @returns {Promise<Object>} - Promise that resolves with an object containing:
      *   - isSpeaking: boolean - true if speech is detected, false otherwise
      *   - probability: number - the raw VAD probability score (0-1)
      */
-    async hasSpeechAudio(audio) {
+    async hasSpeechAudio(audio, state = this.state) {
         // Run VAD on the audio
-        const speechProbability = await this.run(audio);
+        const speechProbability = await this.run(audio, state);
         const hasSpeech         = speechProbability > this.speechVadThreshold;
         const hasSilence        = speechProbability < this.silenceVadThreshold;
         let justStoppedSpeaking = false;
@@ -106,24 +131,24 @@ export class SileroVAD extends ONNXModel {
         // Update speech state with debouncing
         if (!hasSpeech) {
             if (hasSilence) {
-                this.silentFrames += 1;
+                state.silentFrames += 1;
             
-                if (this.isSpeaking && this.silentFrames > this.silentFramesCount) {
-                    this.isSpeaking = false;
+                if (state.isSpeaking && state.silentFrames > this.silentFramesCount) {
+                    state.isSpeaking = false;
                     justStoppedSpeaking = true;
                 }
             }
         } else {
-            this.silentFrames = 0;
-            if(!this.isSpeaking){
-                this.isSpeaking = true;
+            state.silentFrames = 0;
+            if(!state.isSpeaking){
+                state.isSpeaking = true;
                 justStartedSpeaking = true;
             }
         }
         
         // Return both the speech state and the probability
         return {
-            isSpeaking: this.isSpeaking,
+            isSpeaking: state.isSpeaking,
             speechProbability,
             justStoppedSpeaking,
             justStartedSpeaking
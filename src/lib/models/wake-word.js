@@ -9,7 +9,7 @@ import { ONNXModel } from "./base.js";
 export class WakeWord extends ONNXModel {
     /**
      * Constructor
-     * @param {string} modelPath - Path to the ONNX model
+     * @param {string|ArrayBuffer|Uint8Array} modelPath - Path to the ONNX model, or its contents
      * @param {number} threshold - Threshold for wake word detection (default: 0.5)
      */
     constructor(
@@ -0,0 +1,196 @@
+/** @module noise-calibrator */
+import { toDecibels } from "./helpers.js";
+
+/**
+ * Limits a value to a range.
+ * @param {number} value - The value.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {number} The value within the bounds.
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Computes the mean and standard deviation of a list of numbers.
+ * @param {number[]} values - The numbers.
+ * @returns {{mean: number, std: number}} The statistics.
+ */
+function describe(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0.0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0.0) / values.length;
+    return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Picks VAD and wake word thresholds for the room the microphone is in.
+ *
+ * Calibration listens to a few seconds of ambient audio and keeps the mean and spread of the
+ * VAD's speech probability and of the signal level. Speech has to stand out from the probability
+ * the room alone reaches (mean plus two standard deviations), silence is anything close to it,
+ * and the more the probability flickers the longer silence must last to end speech. Loud rooms
+ * also raise the wake word thresholds, as noise pushes the wake word models up too.
+ * Afterwards the statistics keep following the room slowly, from audio without speech.
+ */
+export class NoiseCalibrator {
+    /**
+     * @param {Object} [options] - Options object.
+     * @param {number} [options.calibrationSeconds=3] - Seconds of ambient audio a calibration listens to.
+     * @param {number} [options.hopSeconds=0.12] - Seconds of audio per update.
+     * @param {number} [options.adaptationSeconds=60] - Time constant of re-adapting to the room while idle, 0 to stay with the calibration.
+     * @param {number} [options.speechMargin=0.3] - How far above the room's VAD probability speech starts.
+     * @param {number} [options.silenceMargin=0.1] - How far above the room's VAD probability still counts as silence.
+     * @param {number} [options.minSpeechThreshold=0.5] - Lowest VAD threshold for speech.
+     * @param {number} [options.maxSpeechThreshold=0.95] - Highest VAD threshold for speech.
+     * @param {number} [options.minSilenceThreshold=0.1] - Lowest VAD threshold for silence.
+     * @param {number} [options.minSilentFrames=8] - Negative VADs that end speech in a steady room.
+     * @param {number} [options.maxSilentFrames=20] - Negative VADs that end speech in the most flickering room.
+     * @param {number} [options.quietLevel=-60] - Noise floor in dBFS up to which wake word thresholds stay as configured.
+     * @param {number} [options.loudLevel=-30] - Noise floor in dBFS at which wake word thresholds are raised the most.
+     * @param {number} [options.maxWakeWordOffset=0.15] - Most wake word thresholds are raised by.
+     * @param {boolean} [options.debug=false] - Whether to log debug messages.
+     */
+    constructor(options) {
+        options = options || {};
+        this.calibrationSeconds = options.calibrationSeconds || 3;
+        this.hopSeconds = options.hopSeconds || 0.12;
+        this.adaptationSeconds = options.adaptationSeconds ?? 60;
+        this.speechMargin = options.speechMargin ?? 0.3;
+        this.silenceMargin = options.silenceMargin ?? 0.1;
+        this.minSpeechThreshold = options.minSpeechThreshold ?? 0.5;
+        this.maxSpeechThreshold = options.maxSpeechThreshold ?? 0.95;
+        this.minSilenceThreshold = options.minSilenceThreshold ?? 0.1;
+        this.minSilentFrames = options.minSilentFrames || 8;
+        this.maxSilentFrames = options.maxSilentFrames || 20;
+        this.quietLevel = options.quietLevel ?? -60;
+        this.loudLevel = options.loudLevel ?? -30;
+        this.maxWakeWordOffset = options.maxWakeWordOffset ?? 0.15;
+        this.debug = options.debug || false;
+        this.reset();
+    }
+
+    /**
+     * Forgets the room, thresholds go back to those configured.
+     */
+    reset() {
+        this.samples = null; // { speechProbabilities, levels, target } while calibrating
+        this.stats = null; // { speechMean, speechStd, levelMean, levelStd }
+    }
+
+    /**
+     * Whether a calibration is listening.
+     * @type {boolean}
+     */
+    get calibrating() {
+        return this.samples !== null;
+    }
+
+    /**
+     * Whether there are statistics of the room.
+     * @type {boolean}
+     */
+    get calibrated() {
+        return this.stats !== null;
+    }
+
+    /**
+     * Starts listening to the room, the statistics are replaced once it is done.
+     * @param {number} [seconds] - Seconds to listen, defaults to `calibrationSeconds`.
+     */
+    start(seconds) {
+        this.samples = {
+            speechProbabilities: [],
+            levels: [],
+            target: Math.max(1, Math.round((seconds || this.calibrationSeconds) / this.hopSeconds)),
+        };
+    }
+
+    /**
+     * Takes the analysis of a hop of audio.
+     * @param {number} speechProbability - The VAD's speech probability.
+     * @param {Float32Array} samples - The hop's samples.
+     * @param {Object} state - What else is going on.
+     * @param {boolean} state.ambient - Whether the audio is only the room, not e.g. a recording or the assistant's voice; other hops are ignored.
+     * @param {boolean} state.speaking - Whether the VAD hears speech; such hops are still calibrated on, but not adapted to.
+     * @returns {boolean} - Whether the thresholds changed: a calibration finished, or they adapted.
+     */
+    update(speechProbability, samples, state) {
+        if (!state.ambient) {
+            return false;
+        }
+        const level = toDecibels(samples.reduce((sum, value) => sum + value * value, 0.0) / samples.length);
+        if (this.samples !== null) {
+            this.samples.speechProbabilities.push(speechProbability);
+            this.samples.levels.push(level);
+            if (this.samples.levels.length < this.samples.target) {
+                return false;
+            }
+            const speech = describe(this.samples.speechProbabilities);
+            const levels = describe(this.samples.levels);
+            this.stats = { speechMean: speech.mean, speechStd: speech.std, levelMean: levels.mean, levelStd: levels.std };
+            this.samples = null;
+            if (this.debug) {
+                console.log("Noise calibrated:", this.getNoiseFloor());
+            }
+            return true;
+        }
+        if (this.stats === null || this.adaptationSeconds <= 0 || state.speaking) {
+            return false;
+        }
+        // Exponential moving mean and variance, with a time constant of `adaptationSeconds`
+        const weight = Math.min(1, this.hopSeconds / this.adaptationSeconds);
+        const adapt = (meanKey, stdKey, value) => {
+            const difference = value - this.stats[meanKey];
+            this.stats[meanKey] += weight * difference;
+            this.stats[stdKey] = Math.sqrt((1 - weight) * (this.stats[stdKey] ** 2 + weight * difference ** 2));
+        };
+        adapt("speechMean", "speechStd", speechProbability);
+        adapt("levelMean", "levelStd", level);
+        return true;
+    }
+
+    /**
+     * Gets the thresholds for the room.
+     * @returns {{positiveVadThreshold: number, negativeVadThreshold: number, negativeVadCount: number, wakeWordThresholdOffset: number}|null}
+     * - VAD settings, and how much to raise wake word thresholds by; null before the first calibration.
+     */
+    getThresholds() {
+        if (this.stats === null) {
+            return null;
+        }
+        const { speechMean, speechStd, levelMean } = this.stats;
+        const ambient = Math.min(1, speechMean + 2 * speechStd);
+        const positiveVadThreshold = clamp(ambient + this.speechMargin, this.minSpeechThreshold, this.maxSpeechThreshold);
+        const negativeVadThreshold = clamp(ambient + this.silenceMargin, this.minSilenceThreshold, positiveVadThreshold - 0.15);
+        // A standard deviation of 0.25 is a VAD that jumps between silence and speech all the time
+        const flicker = clamp(speechStd / 0.25, 0, 1);
+        const negativeVadCount = Math.round(this.minSilentFrames + flicker * (this.maxSilentFrames - this.minSilentFrames));
+        const loudness = clamp((levelMean - this.quietLevel) / (this.loudLevel - this.quietLevel), 0, 1);
+        return {
+            positiveVadThreshold,
+            negativeVadThreshold,
+            negativeVadCount,
+            wakeWordThresholdOffset: loudness * this.maxWakeWordOffset,
+        };
+    }
+
+    /**
+     * Describes the room as last measured.
+     * @returns {Object} - `{ calibrated, calibrating, progress, level, levelStd, speechProbability, speechProbabilityStd, thresholds }`,
+     * levels in dBFS; the statistics are null before the first calibration.
+     */
+    getNoiseFloor() {
+        const stats = this.stats;
+        return {
+            calibrated: stats !== null,
+            calibrating: this.samples !== null,
+            progress: this.samples !== null ? this.samples.levels.length / this.samples.target : null,
+            level: stats && stats.levelMean,
+            levelStd: stats && stats.levelStd,
+            speechProbability: stats && stats.speechMean,
+            speechProbabilityStd: stats && stats.speechStd,
+            thresholds: this.getThresholds(),
+        };
+    }
+}
@@ -0,0 +1,510 @@
+/** @module remote-hey-buddy */
+import { HeyBuddyEventEmitter } from "./hey-buddy-events.js";
+import { MediaStreamSource, createAudioSource } from "./audio.js";
+
+/**
+ * Rebuilds an error sent by the worker.
+ * @param {Object} error - `{ name, message }`.
+ * @returns {Error} The error.
+ */
+function deserializeError(error) {
+    const result = new Error(error.message);
+    result.name = error.name;
+    return result;
+}
+
+/**
+ * Runs HeyBuddy in a dedicated worker, so inference is not slowed down by the page.
+ * A microphone worklet posts its frames straight to the worker; only events,
+ * probabilities and a small state snapshot come back to this thread.
+ * The event API is the same as HeyBuddy's, methods that need the worker return promises.
+ * @extends HeyBuddyEventEmitter
+ */
+export class RemoteHeyBuddy extends HeyBuddyEventEmitter {
+    /**
+     * @param {Object} [options] - HeyBuddy options. Functions are left out, as they cannot be sent to the worker.
+     * An `audioSource` other than a MediaStream is read on this thread and posted to the worker
+     * without waiting for it, so in-memory audio should be paced (see BufferSource) or scanned instead.
+     * A `referenceStream` is captured on this thread too, its frames reach the worker with the microphone's.
+     */
+    constructor(options) {
+        super();
+        options = options || {};
+        const { audioSource, audioSourceSampleRate, referenceStream, ...heyBuddyOptions } = options;
+        const workerOptions = Object.fromEntries(
+            Object.entries(heyBuddyOptions).filter(([, value]) => typeof value !== "function")
+        );
+        this.debug = options.debug || false;
+        this.requests = {};
+        this.nextRequestId = 0;
+        this.disposing = null;
+        // Mirror of the worker's state, updated with every message
+        this.state = {
+            wakeWordNames: [],
+            wakeWordOptions: {},
+            frameTimeEma: 0,
+            frameIntervalEma: 0,
+            recording: false,
+            paused: false,
+            inFollowUp: false,
+            pushToTalk: false,
+            isReady: false,
+        };
+
+        this.worker = new Worker(new URL("./workers/hey-buddy.worker.js", import.meta.url), { type: "module" });
+        this.worker.addEventListener("message", (event) => this.receive(event.data));
+        this.worker.addEventListener("error", (event) => {
+            this.emit("error", new Error(event.message || "HeyBuddy worker failed"));
+        });
+
+        // Frames travel from the source to the worker over their own channel
+        const channel = new MessageChannel();
+        this.created = this.request("create", { options: workerOptions, port: channel.port2 }, [channel.port2]);
+        this.created.catch((error) => this.emit("error", error));
+
+        // The source audio is read from, on this thread
+        this.source = createAudioSource(
+            audioSource,
+            options.targetSampleRate || 16000,
+            audioSourceSampleRate,
+            {
+                resamplerQuality: options.resamplerQuality,
+                testSignal: options.testSignal,
+                deviceId: options.audioDeviceId,
+                constraints: options.audioConstraints,
+                followDevices: options.followAudioDevices,
+            },
+        );
+        if (this.source instanceof MediaStreamSource) {
+            this.source.onStreamChange((device) => this.emit("device", device));
+            if (referenceStream) {
+                this.source.setReferenceStream(referenceStream);
+            }
+            this.starting = this.source.forward(channel.port1);
+        } else {
+            this.starting = this.source.start((frame) => channel.port1.postMessage(frame));
+        }
+        // E.g. the microphone permission was denied
+        this.starting.catch((error) => this.emit("error", error));
+    }
+
+    /**
+     * Handles a message from the worker.
+     * @param {Object} message - `{ state, event, args }` for events, `{ state, id, result, error }` for replies.
+     */
+    receive(message) {
+        if (message.state) {
+            this.state = message.state;
+        }
+        if (message.event !== undefined) {
+            const args = message.event === "error" ? message.args.map(deserializeError) : message.args;
+            this.emit(message.event, ...args);
+        }
+        if (message.id !== undefined) {
+            const request = this.requests[message.id];
+            if (!request) {
+                return;
+            }
+            delete this.requests[message.id];
+            if (message.error !== undefined) {
+                request.reject(deserializeError(message.error));
+            } else {
+                request.resolve(message.result);
+            }
+        }
+    }
+
+    /**
+     * Sends a request to the worker.
+     * @param {string} action - The action to run.
+     * @param {Object} data - The action's arguments.
+     * @param {Transferable[]} [transfer] - Objects to transfer instead of copy.
+     * @returns {Promise} A promise that resolves to the worker's result.
+     */
+    request(action, data, transfer = []) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests[id] = { resolve, reject };
+            this.worker.postMessage({ id, action, data }, transfer);
+        });
+    }
+
+    /**
+     * Calls a method of the HeyBuddy instance in the worker.
+     * @param {string} method - Name of the method.
+     * @param {...Mixed} args - Arguments, which must be cloneable.
+     * @returns {Promise} A promise that resolves to the method's result.
+     */
+    call(method, ...args) {
+        return this.request("call", { method, args });
+    }
+
+    /**
+     * Names of all loaded wake words.
+     * @type {string[]}
+     */
+    get wakeWordNames() {
+        return this.state.wakeWordNames;
+    }
+
+    /** @type {number} */
+    get frameTimeEma() {
+        return this.state.frameTimeEma;
+    }
+
+    /** @type {number} */
+    get frameIntervalEma() {
+        return this.state.frameIntervalEma;
+    }
+
+    /** @type {boolean} */
+    get recording() {
+        return this.state.recording;
+    }
+
+    /** @type {boolean} */
+    get paused() {
+        return this.state.paused;
+    }
+
+    /** @type {boolean} */
+    get inFollowUp() {
+        return this.state.inFollowUp;
+    }
+
+    /** @type {boolean} */
+    get pushToTalk() {
+        return this.state.pushToTalk;
+    }
+
+    /** @type {boolean} */
+    get isReady() {
+        return this.state.isReady;
+    }
+
+    pause() {
+        this.state.paused = true;
+        return this.call("pause");
+    }
+
+    resume() {
+        this.state.paused = false;
+        return this.call("resume");
+    }
+
+    /**
+     * Loads another wake word model while running, see HeyBuddy.addWakeWord.
+     * @param {string} name - Name of wake word.
+     * @param {string|ArrayBuffer|Uint8Array|TrainedWakeWordModel} model - URL of the ONNX model, its contents, or a classifier head trained with WakeWordTrainer.
+     * @param {Partial<WakeWordOptions>} [options] - Settings for the wake word.
+     * @returns {Promise<WakeWordOptions>} - Promise that resolves to the settings once the model is in use.
+     */
+    addWakeWord(name, model, options) {
+        return this.call("addWakeWord", name, model, options);
+    }
+
+    /**
+     * Unloads a wake word model while running, see HeyBuddy.removeWakeWord.
+     * @param {string} name - Name of wake word.
+     * @returns {Promise} - Promise that resolves once the model is released.
+     */
+    removeWakeWord(name) {
+        return this.call("removeWakeWord", name);
+    }
+
+    /**
+     * Gets the current settings of a wake word, as last reported by the worker.
+     * @param {string} name - Name of wake word.
+     * @returns {WakeWordOptions} - A copy of the settings.
+     * @throws {Error} - If there is no wake word with that name.
+     */
+    getWakeWordOptions(name) {
+        if (!this.state.wakeWordOptions[name]) {
+            throw new Error(`Unknown wake word "${name}"`);
+        }
+        return { ...this.state.wakeWordOptions[name] };
+    }
+
+    /**
+     * Changes the settings of a wake word while running.
+     * The change applies here right away; if the worker rejects it, an error event is emitted.
+     * @param {string} name - Name of wake word.
+     * @param {Partial<WakeWordOptions>} options - Settings to change.
+     * @returns {WakeWordOptions} - The updated settings.
+     * @throws {Error} - If there is no wake word with that name.
+     */
+    setWakeWordOptions(name, options) {
+        const wakeWordOptions = { ...this.getWakeWordOptions(name), ...options };
+        this.state.wakeWordOptions[name] = wakeWordOptions;
+        this.call("setWakeWordOptions", name, options).catch((error) => this.emit("error", error));
+        return { ...wakeWordOptions };
+    }
+
+    /**
+     * Scans a whole recording in the worker, see HeyBuddy.scan.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio.
+     * @param {Object} [options] - Options object.
+     * @returns {Promise<Object>} - Promise that resolves to the scan result.
+     */
+    scan(audio, sampleRate, options) {
+        return this.call("scan", audio, sampleRate, options);
+    }
+
+    /**
+     * Drop the current recording without dispatching it.
+     * @param {string} reason - Why the recording was dropped.
+     * @returns {Promise} - Promise that resolves once the worker has dropped it.
+     */
+    abortRecording(reason) {
+        return this.call("abortRecording", reason);
+    }
+
+    /**
+     * Opens a follow-up window, see HeyBuddy.openFollowUp.
+     * @param {number} [seconds] - Seconds to wait for speech.
+     * @returns {Promise} - Promise that resolves once the window is open.
+     */
+    openFollowUp(seconds) {
+        return this.call("openFollowUp", seconds);
+    }
+
+    /**
+     * Closes the follow-up window, see HeyBuddy.closeFollowUp.
+     * @returns {Promise} - Promise that resolves once the window is closed.
+     */
+    closeFollowUp() {
+        return this.call("closeFollowUp");
+    }
+
+    /**
+     * Tells the detector whether the assistant is speaking, see HeyBuddy.setAssistantSpeaking.
+     * @param {boolean} speaking - Whether the assistant's voice is playing.
+     * @returns {Promise} - Promise that resolves once the worker has it.
+     */
+    setAssistantSpeaking(speaking) {
+        return this.call("setAssistantSpeaking", speaking);
+    }
+
+    /**
+     * Starts recording without the wake word, see HeyBuddy.startPushToTalk.
+     * @returns {Promise<boolean>} - Promise that resolves to whether push-to-talk started.
+     */
+    startPushToTalk() {
+        return this.call("startPushToTalk");
+    }
+
+    /**
+     * Ends push-to-talk and dispatches the recording, see HeyBuddy.stopPushToTalk.
+     * @returns {Promise} - Promise that resolves once the worker has ended it.
+     */
+    stopPushToTalk() {
+        return this.call("stopPushToTalk");
+    }
+
+    /**
+     * Sets the enrolled speakers, see HeyBuddy.setSpeakerProfiles.
+     * @param {SpeakerProfile[]} profiles - The profiles.
+     * @returns {Promise} - Promise that resolves once the worker uses them.
+     */
+    setSpeakerProfiles(profiles) {
+        return this.call("setSpeakerProfiles", profiles);
+    }
+
+    /**
+     * Computes the voice print of a recording in the worker, see HeyBuddy.computeVoicePrint.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio.
+     * @returns {Promise<Float32Array>} - Promise that resolves to the voice print.
+     */
+    computeVoicePrint(audio, sampleRate) {
+        return this.call("computeVoicePrint", audio, sampleRate);
+    }
+
+    /**
+     * Computes the wake word model inputs of a recording in the worker, see HeyBuddy.extractFeatures.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio.
+     * @returns {Promise<Object>} - Promise that resolves to `{ windows, times, frames, embeddingDim }`.
+     */
+    extractFeatures(audio, sampleRate) {
+        return this.call("extractFeatures", audio, sampleRate);
+    }
+
+    /**
+     * Sets the stream of what the speakers play, see HeyBuddy.setReferenceStream.
+     * It is captured on this thread, so this applies right away.
+     * @param {MediaStream|null} stream - The playback reference, null to stop using one.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setReferenceStream(stream) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can take a reference stream");
+        }
+        this.source.setReferenceStream(stream);
+    }
+
+    /**
+     * Describes the microphone being captured, see HeyBuddy.getAudioDevice.
+     * @returns {Object|null} - The device, null before capturing has started or if the audio source is not a MediaStream.
+     */
+    getAudioDevice() {
+        if (!(this.source instanceof MediaStreamSource)) {
+            return null;
+        }
+        return this.source.getDevice();
+    }
+
+    /**
+     * Captures another microphone, see HeyBuddy.setAudioDevice.
+     * It is captured on this thread, so the worker keeps running untouched.
+     * @param {string|null} deviceId - The microphone, see listAudioInputs; null for the default one.
+     * @returns {Promise<Object|null>} - The device now captured, see getAudioDevice.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setAudioDevice(deviceId) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can change the audio device");
+        }
+        return this.source.setDevice(deviceId);
+    }
+
+    /**
+     * Changes the browser's processing of the microphone, see HeyBuddy.setAudioConstraints.
+     * @param {AudioConstraints} constraints - The constraints to change, others are kept.
+     * @returns {Promise<Object|null>} - The device now captured, see getAudioDevice.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setAudioConstraints(constraints) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can change the audio constraints");
+        }
+        return this.source.setConstraints(constraints);
+    }
+
+    /**
+     * Captures a test sweep instead of the microphone, see HeyBuddy.setTestSignal.
+     * It is captured on this thread, so this applies right away.
+     * @param {boolean} enabled - Whether to capture the test signal.
+     * @returns {Object|null} - The resampler's aliasing, see HeyBuddy.setTestSignal.
+     * @throws {Error} - If the audio source is not a MediaStream.
+     */
+    setTestSignal(enabled) {
+        if (!(this.source instanceof MediaStreamSource)) {
+            throw new Error("Only a MediaStream audio source can capture the test signal");
+        }
+        this.source.setTestSignal(enabled);
+        return this.source.measureAliasing();
+    }
+
+    /**
+     * Turns verification of detections on or off, see HeyBuddy.setVerifyWakeWords.
+     * @param {boolean} enabled - Whether detections wait for a `verify` listener to confirm them.
+     * @returns {Promise} - Promise that resolves once the worker has it.
+     */
+    setVerifyWakeWords(enabled) {
+        return this.call("setVerifyWakeWords", enabled);
+    }
+
+    /**
+     * Turns echo cancellation on or off, see HeyBuddy.setEchoCancellation.
+     * @param {boolean} enabled - Whether to cancel the reference's echo.
+     * @returns {Promise} - Promise that resolves once the worker has it.
+     */
+    setEchoCancellation(enabled) {
+        return this.call("setEchoCancellation", enabled);
+    }
+
+    /**
+     * Measures how much of the reference's echo is left, see HeyBuddy.getEchoMetrics.
+     * @returns {Promise<Object>} - Promise that resolves to the echo metrics.
+     */
+    getEchoMetrics() {
+        return this.call("getEchoMetrics");
+    }
+
+    /**
+     * Calibrates thresholds on the room's noise in the worker, see HeyBuddy.calibrate.
+     * @param {number} [seconds] - Seconds to listen.
+     * @returns {Promise<Object>} - Promise that resolves to the noise floor once calibrated.
+     */
+    calibrate(seconds) {
+        return this.call("calibrate", seconds);
+    }
+
+    /**
+     * Goes back to the configured thresholds, see HeyBuddy.resetCalibration.
+     * @returns {Promise} - Promise that resolves once the worker has reset.
+     */
+    resetCalibration() {
+        return this.call("resetCalibration");
+    }
+
+    /**
+     * Describes the room's noise, see HeyBuddy.getNoiseFloor.
+     * @returns {Promise<Object>} - Promise that resolves to the noise floor.
+     */
+    getNoiseFloor() {
+        return this.call("getNoiseFloor");
+    }
+
+    /**
+     * Reports how the pipeline in the worker keeps up with the audio, see HeyBuddy.getStats.
+     * @returns {Promise<Object>} - Promise that resolves to the stats.
+     */
+    getStats() {
+        return this.call("getStats");
+    }
+
+    /**
+     * Sets what inference in the worker does when it falls behind, see HeyBuddy.setBackpressure.
+     * @param {string} policy - `catchUp`, `latest` or `degrade`.
+     * @returns {Promise} - Promise that resolves once the worker uses it.
+     */
+    setBackpressure(policy) {
+        return this.call("setBackpressure", policy);
+    }
+
+    /**
+     * Starts the counts and latencies of getStats over, see HeyBuddy.resetStats.
+     * @returns {Promise} - Promise that resolves once the worker has reset them.
+     */
+    resetStats() {
+        return this.call("resetStats");
+    }
+
+    /**
+     * Answers a `verify` event, see HeyBuddy.resolveVerification.
+     * @param {number} id - The id of the `verify` event.
+     * @param {Object} result - `{ accepted, transcript, similarity }`.
+     * @returns {Promise<boolean>} - Promise that resolves to whether the detection was still waiting.
+     */
+    resolveVerification(id, result) {
+        return this.call("resolveVerification", id, result);
+    }
+
+    /**
+     * Shuts down the audio source and the worker, and removes all listeners.
+     * Calling this again returns the same promise.
+     * @returns {Promise} - Promise that resolves once everything is released.
+     */
+    dispose() {
+        if (this.disposing === null) {
+            this.disposing = (async () => {
+                await this.starting.catch(() => {});
+                await this.source.stop();
+                await this.call("dispose").catch(() => {});
+                this.worker.terminate();
+                for (const request of Object.values(this.requests)) {
+                    request.reject(new Error("HeyBuddy has been disposed"));
+                }
+                this.requests = {};
+                this.removeAllListeners();
+                if (this.debug) {
+                    console.log("RemoteHeyBuddy disposed");
+                }
+            })();
+        }
+        return this.disposing;
+    }
+}
@@ -0,0 +1,233 @@
+/** @module resampler */
+
+/**
+ * Filter settings of each resampler quality. Higher qualities use longer filters, which cost more
+ * per sample but attenuate what would alias further and keep more of the band below the new Nyquist frequency.
+ * - `zeroCrossings`: Zero crossings of the sinc on each side, the filter length.
+ * - `phases`: Filters precomputed per input sample, the ones in between are interpolated.
+ * - `beta`: Kaiser window shape, trading the width of the transition band for stopband attenuation.
+ * - `rolloff`: Cutoff as a fraction of the lower Nyquist frequency, placed so the stopband starts at it.
+ * @type {Object<string, {zeroCrossings: number, phases: number, beta: number, rolloff: number}>}
+ */
+export const RESAMPLER_QUALITIES = {
+    low: { zeroCrossings: 8, phases: 64, beta: 5.0, rolloff: 0.8 },
+    medium: { zeroCrossings: 16, phases: 128, beta: 8.0, rolloff: 0.86 },
+    high: { zeroCrossings: 32, phases: 256, beta: 10.0, rolloff: 0.92 },
+};
+
+/**
+ * Gets the filter settings of a resampler quality.
+ * @param {string|Object} quality - `low`, `medium` or `high`, or settings as in RESAMPLER_QUALITIES.
+ * @returns {Object} - The filter settings.
+ * @throws {Error} - If the quality is unknown.
+ */
+export function getResamplerSettings(quality) {
+    if (quality !== null && typeof quality === "object") {
+        return quality;
+    }
+    if (!Object.hasOwn(RESAMPLER_QUALITIES, quality)) {
+        throw new Error(`Unknown resampler quality "${quality}", expected one of ${Object.keys(RESAMPLER_QUALITIES).join(", ")}`);
+    }
+    return RESAMPLER_QUALITIES[quality];
+}
+
+/**
+ * A streaming windowed-sinc resampler. Its low-pass filter removes everything above the lower
+ * of the two Nyquist frequencies before resampling, so nothing aliases.
+ * Audio can be given in pieces of any length, e.g. render quanta; the filter keeps what it needs
+ * of earlier pieces, so the output is the same as resampling all of it at once.
+ * Output sample `i` is at input time `i * sampleRate / targetSampleRate`; it is returned once
+ * the input reaches half a filter past that time.
+ *
+ * The class uses nothing outside itself, the capture worklet is built from its source.
+ */
+export class Resampler {
+    /**
+     * @param {number} sampleRate - Sample rate of the input.
+     * @param {number} targetSampleRate - Sample rate of the output.
+     * @param {Object} settings - Filter settings, see getResamplerSettings.
+     */
+    constructor(sampleRate, targetSampleRate, settings) {
+        this.sampleRate = sampleRate;
+        this.targetSampleRate = targetSampleRate;
+        this.ratio = sampleRate / targetSampleRate; // Input samples per output sample
+        this.passthrough = sampleRate === targetSampleRate;
+        this.phases = settings.phases;
+        // Cutoff in cycles per input sample
+        const cutoff = 0.5 * Math.min(1.0, 1.0 / this.ratio) * settings.rolloff;
+        this.halfWidth = Math.ceil(settings.zeroCrossings / (2.0 * cutoff)); // In input samples
+        this.taps = 2 * this.halfWidth;
+        // Filter p is for output times p / phases past an input sample; one extra to interpolate towards
+        this.filters = new Float32Array((this.phases + 1) * this.taps);
+        const bessel = (x) => {
+            let sum = 1.0;
+            let term = 1.0;
+            for (let k = 1; k < 64 && term > 1e-12 * sum; k++) {
+                term *= (x / (2 * k)) ** 2;
+                sum += term;
+            }
+            return sum;
+        };
+        const windowScale = bessel(settings.beta);
+        for (let phase = 0; phase <= this.phases; phase++) {
+            const offset = phase * this.taps;
+            let sum = 0.0;
+            for (let tap = 0; tap < this.taps; tap++) {
+                // Distance of the input sample from the output time
+                const x = tap - this.halfWidth + 1 - phase / this.phases;
+                const position = x / this.halfWidth;
+                if (Math.abs(position) >= 1.0) {
+                    continue;
+                }
+                const window = bessel(settings.beta * Math.sqrt(1.0 - position * position)) / windowScale;
+                const argument = 2.0 * Math.PI * cutoff * x;
+                const sinc = x === 0 ? 1.0 : Math.sin(argument) / argument;
+                this.filters[offset + tap] = sinc * window;
+                sum += sinc * window;
+            }
+            // Unity gain at DC
+            for (let tap = 0; tap < this.taps; tap++) {
+                this.filters[offset + tap] /= sum;
+            }
+        }
+        this.buffer = new Float32Array(this.taps + 1024);
+        this.output = new Float32Array(1024);
+        this.reset();
+    }
+
+    /**
+     * Forgets earlier input, as if the next starts the audio.
+     */
+    reset() {
+        // The first output is at the first input sample, with silence before it
+        this.buffer.fill(0);
+        this.length = this.halfWidth - 1; // Input samples held
+        this.time = this.halfWidth - 1; // Position of the next output in the held input
+    }
+
+    /**
+     * Resamples the next piece of the audio.
+     * @param {Float32Array} input - Input samples.
+     * @returns {Float32Array} - Output samples, valid until the next call.
+     */
+    process(input) {
+        if (this.passthrough) {
+            return input;
+        }
+        if (this.length + input.length > this.buffer.length) {
+            const buffer = new Float32Array(2 * (this.length + input.length));
+            buffer.set(this.buffer.subarray(0, this.length));
+            this.buffer = buffer;
+        }
+        this.buffer.set(input, this.length);
+        this.length += input.length;
+        const maximum = Math.ceil(this.length / this.ratio) + 1;
+        if (maximum > this.output.length) {
+            this.output = new Float32Array(2 * maximum);
+        }
+        const { buffer, filters, taps, halfWidth, phases } = this;
+        let count = 0;
+        for (let base = Math.floor(this.time); base + halfWidth < this.length; base = Math.floor(this.time)) {
+            const position = (this.time - base) * phases;
+            const phase = Math.floor(position);
+            const fraction = position - phase;
+            const first = phase * taps;
+            const second = first + taps;
+            const start = base - halfWidth + 1;
+            let a = 0.0;
+            let b = 0.0;
+            for (let tap = 0; tap < taps; tap++) {
+                const sample = buffer[start + tap];
+                a += filters[first + tap] * sample;
+                b += filters[second + tap] * sample;
+            }
+            this.output[count++] = a + (b - a) * fraction;
+            this.time += this.ratio;
+        }
+        // Drop input no later output reaches back to
+        const drop = Math.max(0, Math.min(this.length, Math.floor(this.time) - halfWidth + 1));
+        buffer.copyWithin(0, drop, this.length);
+        this.length -= drop;
+        this.time -= drop;
+        return this.output.subarray(0, count);
+    }
+
+    /**
+     * Returns the output still held back for input that has not come, as if the audio ended.
+     * @returns {Float32Array} - Output samples, valid until the next call.
+     */
+    flush() {
+        if (this.passthrough) {
+            return new Float32Array(0);
+        }
+        return this.process(new Float32Array(this.halfWidth));
+    }
+}
+
+/**
+ * Resamples a whole recording.
+ * @param {Float32Array} samples - The input samples.
+ * @param {number} sampleRate - The sample rate of the input samples.
+ * @param {number} targetSampleRate - The desired sample rate.
+ * @param {string|Object} [quality="medium"] - The resampler quality, see getResamplerSettings.
+ * @returns {Float32Array} The resampled audio.
+ */
+export function resample(samples, sampleRate, targetSampleRate, quality = "medium") {
+    if (sampleRate === targetSampleRate) {
+        return samples;
+    }
+    const resampler = new Resampler(sampleRate, targetSampleRate, getResamplerSettings(quality));
+    const head = resampler.process(samples).slice();
+    const tail = resampler.flush();
+    const output = new Float32Array(head.length + tail.length);
+    output.set(head);
+    output.set(tail, head.length);
+    return output;
+}
+
+/**
+ * Measures how much a resampler lets through of what would alias: tones between the lower and the
+ * higher Nyquist frequency are resampled, and the loudest is compared to a tone in the passband.
+ * Pairs with the capture worklet's test signal, a sweep across the same range.
+ * @param {number} sampleRate - Sample rate of the input.
+ * @param {number} targetSampleRate - Sample rate of the output.
+ * @param {string|Object} [quality="medium"] - The resampler quality, see getResamplerSettings.
+ * @param {number} [tones=24] - How many tones to try above the lower Nyquist frequency.
+ * @returns {{sampleRate: number, targetSampleRate: number, aliasing: number, worstFrequency: number|null}}
+ * - The loudest alias in dB relative to the passband tone, and the frequency that made it;
+ * `-Infinity` and null if nothing aliases because the rate goes up.
+ */
+export function measureAliasing(sampleRate, targetSampleRate, quality = "medium", tones = 24) {
+    const nyquist = Math.min(sampleRate, targetSampleRate) / 2;
+    const report = { sampleRate, targetSampleRate, aliasing: -Infinity, worstFrequency: null };
+    if (sampleRate <= targetSampleRate) {
+        return report;
+    }
+    const settings = getResamplerSettings(quality);
+    // 100 ms tones, measured on the middle 50 ms to leave out the filter's edges
+    const length = Math.round(0.1 * sampleRate);
+    const level = (frequency) => {
+        const tone = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            tone[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate);
+        }
+        const output = resample(tone, sampleRate, targetSampleRate, settings);
+        const start = Math.floor(output.length / 4);
+        const end = Math.floor(3 * output.length / 4);
+        let energy = 0.0;
+        for (let i = start; i < end; i++) {
+            energy += output[i] * output[i];
+        }
+        return 10 * Math.log10(Math.max(energy / (end - start), 1e-20));
+    };
+    const reference = level(nyquist / 8);
+    for (let i = 0; i < tones; i++) {
+        const frequency = nyquist + (sampleRate / 2 - nyquist) * (i + 0.5) / tones;
+        const aliasing = level(frequency) - reference;
+        if (aliasing > report.aliasing) {
+            report.aliasing = aliasing;
+            report.worstFrequency = frequency;
+        }
+    }
+    return report;
+}
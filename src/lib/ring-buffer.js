@@ -0,0 +1,66 @@
+/** @module ring-buffer */
+
+/**
+ * A fixed-size buffer of the most recent audio samples.
+ */
+export class RingBuffer {
+    /**
+     * @param {number} capacity - The maximum number of samples held.
+     */
+    constructor(capacity) {
+        this.buffer = new Float32Array(Math.max(1, capacity));
+        this.writeIndex = 0;
+        this.length = 0;
+        this.totalWritten = 0; // Samples written since creation, used as an absolute position
+    }
+
+    /**
+     * The maximum number of samples held.
+     * @type {number}
+     */
+    get capacity() {
+        return this.buffer.length;
+    }
+
+    /**
+     * Clears the buffer, keeping the absolute position.
+     */
+    clear() {
+        this.writeIndex = 0;
+        this.length = 0;
+    }
+
+    /**
+     * Appends samples, overwriting the oldest ones when full.
+     * @param {Float32Array} samples - The samples to append.
+     */
+    write(samples) {
+        this.totalWritten += samples.length;
+        if (samples.length >= this.capacity) {
+            this.buffer.set(samples.subarray(samples.length - this.capacity));
+            this.writeIndex = 0;
+            this.length = this.capacity;
+            return;
+        }
+        const firstPart = Math.min(samples.length, this.capacity - this.writeIndex);
+        this.buffer.set(samples.subarray(0, firstPart), this.writeIndex);
+        this.buffer.set(samples.subarray(firstPart), 0);
+        this.writeIndex = (this.writeIndex + samples.length) % this.capacity;
+        this.length = Math.min(this.capacity, this.length + samples.length);
+    }
+
+    /**
+     * Copies out the most recent samples, oldest first.
+     * @param {number} [count] - The number of samples to read, defaults to everything held.
+     * @returns {Float32Array} The samples.
+     */
+    read(count = this.length) {
+        count = Math.min(count, this.length);
+        const output = new Float32Array(count);
+        const start = (this.writeIndex - count + this.capacity) % this.capacity;
+        const firstPart = Math.min(count, this.capacity - start);
+        output.set(this.buffer.subarray(start, start + firstPart));
+        output.set(this.buffer.subarray(0, count - firstPart), firstPart);
+        return output;
+    }
+}
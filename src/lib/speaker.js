@@ -0,0 +1,117 @@
+/** @module speaker */
+
+/**
+ * Similarity at or above which a voice matches a profile, unless the profile sets its own.
+ * @type {number}
+ */
+export const DEFAULT_SPEAKER_THRESHOLD = 0.75;
+
+/**
+ * @typedef {Object} SpeakerProfile
+ * @property {string|number} id - Identifies the profile, e.g. its IndexedDB key.
+ * @property {string} name - Who the profile belongs to.
+ * @property {Float32Array} voicePrint - Unit length average of the speaker's embeddings, see createVoicePrint.
+ * @property {number} [threshold=0.75] - Similarity at or above which a voice matches the profile.
+ */
+
+/**
+ * Computes the cosine similarity of two vectors.
+ * @param {Float32Array} a - First vector.
+ * @param {Float32Array} b - Second vector, same length.
+ * @returns {number} The similarity, from -1 to 1; 0 if either vector is zero.
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0.0;
+    let normA = 0.0;
+    let normB = 0.0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) {
+        return 0.0;
+    }
+    return dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Scales a vector to unit length, in place.
+ * @param {Float32Array} vector - The vector.
+ * @returns {Float32Array} The same vector.
+ */
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0.0));
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) {
+            vector[i] /= norm;
+        }
+    }
+    return vector;
+}
+
+/**
+ * Averages speech embeddings into a voice print: each embedding is scaled to unit length first,
+ * so loud and quiet frames count the same, and the average is scaled to unit length.
+ * @param {Float32Array} data - Embeddings, one after the other.
+ * @param {number} embeddingDim - Length of an embedding.
+ * @param {number[]} [frames] - Indices of the embeddings to use, defaults to all.
+ * @returns {Float32Array} The voice print.
+ */
+export function poolEmbeddings(data, embeddingDim, frames) {
+    frames = frames || Array.from({ length: data.length / embeddingDim }, (_, i) => i);
+    const voicePrint = new Float32Array(embeddingDim);
+    for (const frame of frames) {
+        const embedding = normalize(data.slice(frame * embeddingDim, (frame + 1) * embeddingDim));
+        for (let i = 0; i < embeddingDim; i++) {
+            voicePrint[i] += embedding[i];
+        }
+    }
+    return normalize(voicePrint);
+}
+
+/**
+ * Combines the voice prints of several enrollment utterances into the voice print of a profile.
+ * `consistency` is how well the least typical utterance matches the result; a threshold above it
+ * would have turned that utterance down.
+ * @param {Float32Array[]} voicePrints - One voice print per utterance.
+ * @returns {{voicePrint: Float32Array, consistency: number}} - The combined voice print.
+ * @throws {Error} - If there are no voice prints.
+ */
+export function createVoicePrint(voicePrints) {
+    if (voicePrints.length === 0) {
+        throw new Error("At least one utterance is needed");
+    }
+    const voicePrint = new Float32Array(voicePrints[0].length);
+    for (const print of voicePrints) {
+        for (let i = 0; i < voicePrint.length; i++) {
+            voicePrint[i] += print[i];
+        }
+    }
+    normalize(voicePrint);
+    const consistency = Math.min(...voicePrints.map((print) => cosineSimilarity(print, voicePrint)));
+    return { voicePrint, consistency };
+}
+
+/**
+ * Finds the profile a voice belongs to.
+ * Among the profiles the voice matches, the most similar one wins; if it matches none,
+ * the most similar profile is returned as not accepted.
+ * @param {Float32Array} voicePrint - The voice to identify.
+ * @param {SpeakerProfile[]} profiles - Enrolled speakers.
+ * @returns {{id: string|number, name: string, similarity: number, threshold: number, accepted: boolean}|null} - The match, null without profiles.
+ */
+export function matchSpeaker(voicePrint, profiles) {
+    let best = null;
+    for (const profile of profiles) {
+        const similarity = cosineSimilarity(voicePrint, profile.voicePrint);
+        const threshold = profile.threshold ?? DEFAULT_SPEAKER_THRESHOLD;
+        const match = { id: profile.id, name: profile.name, similarity, threshold, accepted: similarity >= threshold };
+        if (best === null
+            || (match.accepted && !best.accepted)
+            || (match.accepted === best.accepted && similarity > best.similarity)) {
+            best = match;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,125 @@
+/** @module verification */
+
+/**
+ * Derives the spoken phrase of a wake word from its model name, e.g. "hey-buddy" becomes "hey buddy".
+ * @param {string} name - Name of the wake word.
+ * @returns {string} The phrase.
+ */
+export function defaultPhrase(name) {
+    return name.replace(/[-_]+/g, " ").trim();
+}
+
+/**
+ * Lowercases a transcript and strips punctuation, so only the words are compared.
+ * @param {string} text - The transcript.
+ * @returns {string} The normalized transcript.
+ */
+export function normalizeTranscript(text) {
+    return (text || "")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s']/gu, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} The number of single character edits between them.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Scores how well a transcript contains a phrase, from 0 (nothing alike) to 1 (exact match).
+ * The phrase is compared with every run of words in the transcript of about its length,
+ * so a trigger followed by a command still matches, and small mishearings score high.
+ * @param {string} transcript - What was heard.
+ * @param {string} phrase - The wake word phrase.
+ * @returns {number} The best similarity found.
+ */
+export function phraseSimilarity(transcript, phrase) {
+    const target = normalizeTranscript(phrase);
+    const words = normalizeTranscript(transcript).split(" ").filter((word) => word.length > 0);
+    if (target.length === 0 || words.length === 0) {
+        return 0.0;
+    }
+    const targetWords = target.split(" ").length;
+    let best = 0.0;
+    for (let count = Math.max(1, targetWords - 1); count <= targetWords + 1; count++) {
+        for (let start = 0; start + count <= words.length; start++) {
+            const candidate = words.slice(start, start + count).join(" ");
+            const distance = editDistance(candidate, target);
+            best = Math.max(best, 1.0 - distance / Math.max(candidate.length, target.length));
+        }
+    }
+    return best;
+}
+
+/**
+ * Second-stage check of wake word detections: transcribes the audio of each detection and
+ * accepts it only if the transcript resembles the wake word's phrase.
+ * Listens for `verify` events and answers them with `resolveVerification`.
+ */
+export class WakeWordVerifier {
+    /**
+     * @param {HeyBuddy|RemoteHeyBuddy} heyBuddy - Instance created with `verifyWakeWords` enabled.
+     * @param {Function} transcribe - Called with `(audio, sampleRate)`, resolves to the transcript.
+     * @param {Object} [options] - Options object.
+     * @param {number} [options.minSimilarity=0.7] - Similarity at or above which a detection is accepted.
+     * @param {boolean} [options.debug=false] - Whether to log debug messages.
+     */
+    constructor(heyBuddy, transcribe, options) {
+        options = options || {};
+        this.heyBuddy = heyBuddy;
+        this.transcribe = transcribe;
+        this.minSimilarity = options.minSimilarity ?? 0.7;
+        this.debug = options.debug || false;
+    }
+
+    /**
+     * Starts verifying detections.
+     * @returns {Function} A function that stops verifying.
+     */
+    attach() {
+        return this.heyBuddy.onVerify((request) => {
+            this.verify(request).catch((error) => console.error("Wake word verification failed:", error));
+        });
+    }
+
+    /**
+     * Verifies one detection.
+     * If transcription fails the detection is accepted, so a broken verifier cannot mute the assistant.
+     * @param {Object} request - The `verify` event, `{ id, name, phrase, audio, sampleRate }`.
+     * @returns {Promise} - Promise that resolves once the result has been sent.
+     */
+    async verify(request) {
+        let result;
+        try {
+            const transcript = await this.transcribe(request.audio, request.sampleRate);
+            const similarity = phraseSimilarity(transcript, request.phrase);
+            result = { accepted: similarity >= this.minSimilarity, transcript, similarity };
+        } catch (error) {
+            console.warn(`Could not verify wake word "${request.name}", accepting it:`, error);
+            result = { accepted: true, transcript: null, similarity: null, error: error.message || String(error) };
+        }
+        if (this.debug) {
+            console.log(`Wake word "${request.name}" ${result.accepted ? "verified" : "rejected"}:`, result);
+        }
+        await this.heyBuddy.resolveVerification(request.id, result);
+    }
+}
@@ -0,0 +1,205 @@
+/** @module wake-word-pool */
+import { LatencyStats } from "./latency-stats.js";
+
+/**
+ * A fixed number of workers that host wake word models.
+ * Models are spread over the workers, so models in different workers run in parallel.
+ */
+export class WakeWordPool {
+    /**
+     * @param {number} size - The maximum number of workers.
+     */
+    constructor(size = 4) {
+        this.size = Math.max(1, size);
+        this.workers = [];
+        this.modelCounts = [];
+        this.requests = {};
+        this.nextRequestId = 0;
+        this.nextModelId = 0;
+    }
+
+    /**
+     * Gets a worker, starting it on first use.
+     * @param {number} index - Index of the worker.
+     * @returns {Worker} The worker.
+     */
+    getWorker(index) {
+        if (!this.workers[index]) {
+            const worker = new Worker(new URL("./workers/wake-word.worker.js", import.meta.url), { type: "module" });
+            worker.addEventListener("message", (event) => {
+                const { id, result, error } = event.data;
+                const request = this.requests[id];
+                if (!request) {
+                    return;
+                }
+                delete this.requests[id];
+                if (error !== undefined) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve(result);
+                }
+            });
+            worker.addEventListener("error", (event) => {
+                // A crashed worker answers nothing, fail everything waiting on it
+                for (const [id, request] of Object.entries(this.requests)) {
+                    if (request.index === index) {
+                        delete this.requests[id];
+                        request.reject(new Error(event.message || "Wake word worker failed"));
+                    }
+                }
+            });
+            this.workers[index] = worker;
+            this.modelCounts[index] = 0;
+        }
+        return this.workers[index];
+    }
+
+    /**
+     * Picks the worker hosting the fewest models for a new model.
+     * @returns {number} Index of the worker.
+     */
+    assign() {
+        let index = 0;
+        for (let i = 1; i < this.size; i++) {
+            if ((this.modelCounts[i] || 0) < (this.modelCounts[index] || 0)) {
+                index = i;
+            }
+        }
+        this.getWorker(index);
+        this.modelCounts[index]++;
+        return index;
+    }
+
+    /**
+     * Marks a model as no longer hosted by a worker.
+     * @param {number} index - Index of the worker.
+     */
+    unassign(index) {
+        this.modelCounts[index] = Math.max(0, this.modelCounts[index] - 1);
+    }
+
+    /**
+     * Sends a request to a worker.
+     * @param {number} index - Index of the worker.
+     * @param {string} action - The action to run.
+     * @param {Object} data - The action's arguments.
+     * @returns {Promise<Object>} A promise that resolves to the worker's result.
+     */
+    request(index, action, data) {
+        const worker = this.getWorker(index);
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests[id] = { index, resolve, reject };
+            worker.postMessage({ id, action, data });
+        });
+    }
+
+    /**
+     * Stops all workers, failing any requests still waiting.
+     */
+    terminate() {
+        for (const worker of this.workers) {
+            if (worker) {
+                worker.terminate();
+            }
+        }
+        for (const request of Object.values(this.requests)) {
+            request.reject(new Error("Wake word pool has been terminated"));
+        }
+        this.workers = [];
+        this.modelCounts = [];
+        this.requests = {};
+    }
+}
+
+/**
+ * A wake word model that runs in a WakeWordPool worker.
+ * Has the same interface as WakeWord, so HeyBuddy can use either.
+ */
+export class RemoteWakeWord {
+    /**
+     * @param {WakeWordPool} pool - The pool to load the model into.
+     * @param {string|ArrayBuffer|Uint8Array} modelPath - Path to the ONNX model, or its contents.
+     * @param {number} threshold - Threshold for wake word detection.
+     */
+    constructor(pool, modelPath, threshold) {
+        this.pool = pool;
+        this.threshold = threshold;
+        this.duration = 0.0; // EMA duration in the worker
+        this.latency = new LatencyStats(); // Recent durations in the worker, for percentiles
+        this.executionProvider = null; // Of the session in the worker, once loaded
+        this.released = false;
+        this.modelId = pool.nextModelId++;
+        this.thread = pool.assign(); // Models on the same thread run one after another
+        this.loading = pool.request(this.thread, "load", { modelId: this.modelId, model: modelPath });
+        this.loading.catch(() => {});
+    }
+
+    /**
+     * Waits for the model to load in its worker, which also runs its self test.
+     * @param {boolean} debug - Whether to log debug messages.
+     * @throws {Error} - If the model fails to load or its self test fails.
+     */
+    async test(debug = false) {
+        const { duration, executionProvider } = await this.loading;
+        this.duration = duration;
+        this.executionProvider = executionProvider;
+        if (debug) {
+            console.log(`Wake Word model OK in worker ${this.thread}, executed in ${duration} ms`);
+        }
+    }
+
+    /**
+     * Run the model.
+     * @param {Object} embeddings - Embedding tensor.
+     * @returns {Promise<number>} - Promise that resolves with the probability.
+     * @throws {Error} - If the model has been released.
+     */
+    async run(embeddings) {
+        if (this.released) {
+            throw new Error("Model has been released");
+        }
+        await this.loading;
+        // Released while loading, the worker no longer has it
+        if (this.released) {
+            throw new Error("Model has been released");
+        }
+        const { probability, duration, lastDuration } = await this.pool.request(this.thread, "run", {
+            modelId: this.modelId,
+            data: embeddings.data,
+            dims: embeddings.dims,
+        });
+        this.duration = duration;
+        this.latency.record(lastDuration);
+        return probability;
+    }
+
+    /**
+     * Check if the wake word is detected based on the threshold.
+     * @param {Object} embeddings - Embedding tensor.
+     * @returns {Promise<Object>} - Promise that resolves with an object containing probability and detected status.
+     */
+    async checkWakeWordCalled(embeddings) {
+        const probability = await this.run(embeddings);
+
+        return {
+            probability,
+            detected: probability >= this.threshold
+        };
+    }
+
+    /**
+     * Release the model in its worker.
+     */
+    async release() {
+        if (this.released) {
+            return;
+        }
+        this.released = true;
+        this.pool.unassign(this.thread);
+        await this.loading.catch(() => {});
+        if (this.pool.workers[this.thread]) {
+            await this.pool.request(this.thread, "release", { modelId: this.modelId });
+        }
+    }
+}
@@ -0,0 +1,368 @@
+/** @module wake-word-trainer */
+import { sleep } from "./helpers.js";
+import { TRAINED_WAKE_WORD_FORMAT, predictTrainedWakeWord } from "./models/trained-wake-word.js";
+
+/**
+ * Finds where speech ends in a recording: the end of the last 20ms frame within 20 dB of the loudest.
+ * @param {Float32Array} audio - Audio samples.
+ * @param {number} sampleRate - Sample rate of the audio.
+ * @returns {{start: number, end: number}|null} - Seconds from the start of the recording, null if it is silent.
+ */
+export function findSpeech(audio, sampleRate) {
+    const frameSamples = Math.round(sampleRate / 50);
+    const energies = [];
+    for (let start = 0; start < audio.length; start += frameSamples) {
+        const frame = audio.subarray(start, start + frameSamples);
+        energies.push(frame.reduce((sum, value) => sum + value * value, 0.0) / frame.length);
+    }
+    const loudest = Math.max(0, ...energies);
+    if (loudest === 0) {
+        return null;
+    }
+    const first = energies.findIndex((energy) => energy >= loudest * 0.01);
+    const last = energies.length - 1 - [...energies].reverse().findIndex((energy) => energy >= loudest * 0.01);
+    return { start: first * frameSamples / sampleRate, end: Math.min(audio.length, (last + 1) * frameSamples) / sampleRate };
+}
+
+/**
+ * Draws from a normal distribution.
+ * @returns {number} A sample with mean 0 and standard deviation 1.
+ */
+function randomNormal() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+/**
+ * Shuffles an array in place.
+ * @param {Array} array - The array.
+ * @returns {Array} The same array.
+ */
+function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * Trains a custom wake word from a few dozen recordings of it plus background audio, in the browser.
+ *
+ * Recordings are turned into the same inputs the wake word models see live, using the instance's
+ * mel spectrogram and speech embedding models (HeyBuddy.extractFeatures). The windows that end
+ * just after the phrase are positives, everything in background recordings and the silence
+ * before the phrase are negatives. A small classifier head (one hidden layer) is trained on
+ * them with Adam; the result loads into HeyBuddy with addWakeWord like an ONNX model.
+ */
+export class WakeWordTrainer {
+    /**
+     * @param {HeyBuddy|RemoteHeyBuddy} heyBuddy - Instance whose models extract the features.
+     * @param {Object} [options] - Options object.
+     * @param {number} [options.hiddenUnits=16] - Size of the hidden layer.
+     * @param {number} [options.epochs=40] - Passes over the training data.
+     * @param {number} [options.learningRate=0.001] - Adam step size.
+     * @param {number} [options.batchSize=32] - Examples per update.
+     * @param {number} [options.weightDecay=0.0001] - L2 penalty on the weights.
+     * @param {number} [options.validationSplit=0.2] - Fraction of recordings held out to measure the result, with at least 5 positive recordings.
+     * @param {number} [options.positiveSeconds=0.36] - Windows ending up to this long after the phrase are positives.
+     * @param {boolean} [options.debug=false] - Whether to log debug messages.
+     */
+    constructor(heyBuddy, options) {
+        options = options || {};
+        this.heyBuddy = heyBuddy;
+        this.hiddenUnits = options.hiddenUnits || 16;
+        this.epochs = options.epochs || 40;
+        this.learningRate = options.learningRate ?? 0.001;
+        this.batchSize = options.batchSize || 32;
+        this.weightDecay = options.weightDecay ?? 0.0001;
+        this.validationSplit = options.validationSplit ?? 0.2;
+        this.positiveSeconds = options.positiveSeconds ?? 0.36;
+        this.debug = options.debug || false;
+        this.reset();
+    }
+
+    /**
+     * Forgets all recordings.
+     */
+    reset() {
+        this.recordings = []; // { positive, examples: [{ input, label }] }
+        this.frames = null;
+        this.embeddingDim = null;
+    }
+
+    /**
+     * Number of recordings of the wake word.
+     * @type {number}
+     */
+    get positiveRecordings() {
+        return this.recordings.filter((recording) => recording.positive).length;
+    }
+
+    /**
+     * Number of background recordings.
+     * @type {number}
+     */
+    get negativeRecordings() {
+        return this.recordings.filter((recording) => !recording.positive).length;
+    }
+
+    /**
+     * Extracts the windows of a recording.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate] - Sample rate of the audio.
+     * @returns {Promise<Object>} - See HeyBuddy.extractFeatures.
+     */
+    async extract(audio, sampleRate) {
+        const features = await this.heyBuddy.extractFeatures(audio, sampleRate);
+        this.frames = features.frames;
+        this.embeddingDim = features.embeddingDim;
+        return features;
+    }
+
+    /**
+     * Adds a recording of the wake word, said once.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate=16000] - Sample rate of the audio.
+     * @returns {Promise<number>} - Promise that resolves to the number of positive windows it gave.
+     * @throws {Error} - If the recording is silent or too short to end a window after the phrase.
+     */
+    async addPositive(audio, sampleRate = 16000) {
+        const speech = findSpeech(audio, sampleRate);
+        if (speech === null) {
+            throw new Error("The recording is silent");
+        }
+        const { windows, times } = await this.extract(audio, sampleRate);
+        const examples = [];
+        windows.forEach((input, i) => {
+            if (times[i] >= speech.end && times[i] <= speech.end + this.positiveSeconds) {
+                examples.push({ input, label: 1 });
+            } else if (times[i] <= speech.start) {
+                examples.push({ input, label: 0 });
+            }
+        });
+        const positives = examples.filter((example) => example.label === 1).length;
+        if (positives === 0) {
+            throw new Error("The recording ends too soon after the wake word");
+        }
+        this.recordings.push({ positive: true, examples });
+        return positives;
+    }
+
+    /**
+     * Adds background audio, e.g. silence, music or other speech, all of it negative.
+     * @param {Float32Array} audio - Audio samples.
+     * @param {number} [sampleRate=16000] - Sample rate of the audio.
+     * @returns {Promise<number>} - Promise that resolves to the number of windows it gave.
+     */
+    async addNegative(audio, sampleRate = 16000) {
+        const { windows } = await this.extract(audio, sampleRate);
+        this.recordings.push({ positive: false, examples: windows.map((input) => ({ input, label: 0 })) });
+        return windows.length;
+    }
+
+    /**
+     * Trains a classifier head on the recordings added so far.
+     * Yields between epochs, so it can run on the page's thread.
+     * @param {Function} [onProgress] - Called after each epoch with `{ epoch, epochs, loss }`.
+     * @returns {Promise<Object>} - Promise that resolves to `{ model, metrics }`; metrics are `{ loss, recall, falseAcceptRate, validated, positives, negatives }`,
+     * measured at a threshold of 0.5 on held out recordings if `validated`, otherwise on the training data.
+     * @throws {Error} - Without positive and negative examples.
+     */
+    async train(onProgress) {
+        const positiveRecordings = shuffle(this.recordings.filter((recording) => recording.positive));
+        const negativeRecordings = shuffle(this.recordings.filter((recording) => !recording.positive));
+        // Hold out whole recordings, windows of one recording are too alike to validate each other
+        const validated = positiveRecordings.length >= 5 && this.validationSplit > 0;
+        const held = (recordings) => validated ? Math.max(1, Math.round(recordings.length * this.validationSplit)) : 0;
+        const heldPositives = held(positiveRecordings);
+        const heldNegatives = Math.min(held(negativeRecordings), Math.max(0, negativeRecordings.length - 1));
+        const validation = [...positiveRecordings.slice(0, heldPositives), ...negativeRecordings.slice(0, heldNegatives)]
+            .flatMap((recording) => recording.examples);
+        const training = [...positiveRecordings.slice(heldPositives), ...negativeRecordings.slice(heldNegatives)]
+            .flatMap((recording) => recording.examples);
+
+        const positives = training.filter((example) => example.label === 1).length;
+        const negatives = training.length - positives;
+        if (positives === 0 || negatives === 0) {
+            throw new Error("Training needs recordings of the wake word and background audio");
+        }
+
+        const model = this.initialize(training);
+        const inputs = training.map((example) => this.normalize(model, example.input));
+        // Both classes weigh the same in the loss, however many examples each has
+        const classWeights = [training.length / (2 * negatives), training.length / (2 * positives)];
+        const optimizer = this.createOptimizer(model);
+        const order = training.map((_, i) => i);
+        let loss = 0.0;
+
+        for (let epoch = 1; epoch <= this.epochs; epoch++) {
+            shuffle(order);
+            loss = 0.0;
+            for (let start = 0; start < order.length; start += this.batchSize) {
+                const batch = order.slice(start, start + this.batchSize);
+                loss += this.step(model, optimizer, batch.map((i) => inputs[i]), batch.map((i) => training[i].label), classWeights);
+            }
+            loss /= order.length;
+            if (this.debug) {
+                console.log(`Wake word training epoch ${epoch}/${this.epochs}, loss ${loss.toFixed(4)}`);
+            }
+            if (onProgress) {
+                onProgress({ epoch, epochs: this.epochs, loss });
+            }
+            await sleep(0);
+        }
+
+        const evaluated = validated && validation.length > 0 ? validation : training;
+        const scored = evaluated.map((example) => ({ label: example.label, probability: predictTrainedWakeWord(model, example.input) }));
+        const scoredPositives = scored.filter((example) => example.label === 1);
+        const scoredNegatives = scored.filter((example) => example.label === 0);
+        const metrics = {
+            loss,
+            recall: scoredPositives.filter((example) => example.probability >= 0.5).length / Math.max(1, scoredPositives.length),
+            falseAcceptRate: scoredNegatives.filter((example) => example.probability >= 0.5).length / Math.max(1, scoredNegatives.length),
+            validated: evaluated !== training,
+            positives,
+            negatives,
+        };
+        return { model, metrics };
+    }
+
+    /**
+     * Creates a head with random weights and the normalization of the training data.
+     * @param {Object[]} examples - The training examples.
+     * @returns {TrainedWakeWordModel} - The untrained head.
+     */
+    initialize(examples) {
+        const { frames, embeddingDim, hiddenUnits } = this;
+        const inputSize = frames * embeddingDim;
+        const mean = new Float32Array(embeddingDim);
+        const variance = new Float32Array(embeddingDim);
+        const count = examples.length * frames;
+        for (const { input } of examples) {
+            for (let i = 0; i < inputSize; i++) {
+                mean[i % embeddingDim] += input[i] / count;
+            }
+        }
+        for (const { input } of examples) {
+            for (let i = 0; i < inputSize; i++) {
+                const d = i % embeddingDim;
+                variance[d] += (input[i] - mean[d]) ** 2 / count;
+            }
+        }
+        const w1 = new Float32Array(hiddenUnits * inputSize);
+        const scale = Math.sqrt(2 / inputSize); // He initialization, for ReLU
+        for (let i = 0; i < w1.length; i++) {
+            w1[i] = randomNormal() * scale;
+        }
+        const w2 = new Float32Array(hiddenUnits);
+        for (let i = 0; i < w2.length; i++) {
+            w2[i] = randomNormal() * Math.sqrt(1 / hiddenUnits);
+        }
+        return {
+            format: TRAINED_WAKE_WORD_FORMAT,
+            version: 1,
+            frames,
+            embeddingDim,
+            hiddenUnits,
+            mean,
+            std: variance.map((value) => Math.sqrt(value) + 1e-6),
+            w1,
+            b1: new Float32Array(hiddenUnits),
+            w2,
+            b2: 0.0,
+        };
+    }
+
+    /**
+     * Normalizes an input once, so training does not redo it every epoch.
+     * @param {TrainedWakeWordModel} model - The head, for its normalization.
+     * @param {Float32Array} input - The raw input.
+     * @returns {Float32Array} The normalized input.
+     */
+    normalize(model, input) {
+        return input.map((value, i) => (value - model.mean[i % model.embeddingDim]) / model.std[i % model.embeddingDim]);
+    }
+
+    /**
+     * Creates the Adam state for a head's parameters.
+     * @param {TrainedWakeWordModel} model - The head.
+     * @returns {Object} - First and second moments per parameter, and the step count.
+     */
+    createOptimizer(model) {
+        const moments = (length) => ({ m: new Float32Array(length), v: new Float32Array(length) });
+        return { t: 0, w1: moments(model.w1.length), b1: moments(model.hiddenUnits), w2: moments(model.hiddenUnits), b2: moments(1) };
+    }
+
+    /**
+     * Runs one batch: forward, weighted binary cross-entropy, backward and an Adam update.
+     * @param {TrainedWakeWordModel} model - The head, updated in place.
+     * @param {Object} optimizer - Its Adam state.
+     * @param {Float32Array[]} inputs - Normalized inputs.
+     * @param {number[]} labels - 1 for the wake word, 0 otherwise.
+     * @param {number[]} classWeights - Loss weight of negatives and positives.
+     * @returns {number} - The summed loss of the batch.
+     */
+    step(model, optimizer, inputs, labels, classWeights) {
+        const { hiddenUnits, w1, b1, w2 } = model;
+        const inputSize = w1.length / hiddenUnits;
+        const grads = {
+            w1: new Float32Array(w1.length),
+            b1: new Float32Array(hiddenUnits),
+            w2: new Float32Array(hiddenUnits),
+            b2: new Float32Array(1),
+        };
+        const hidden = new Float32Array(hiddenUnits);
+        let loss = 0.0;
+        inputs.forEach((input, n) => {
+            let logit = model.b2;
+            for (let unit = 0; unit < hiddenUnits; unit++) {
+                const offset = unit * inputSize;
+                let sum = b1[unit];
+                for (let i = 0; i < inputSize; i++) {
+                    sum += w1[offset + i] * input[i];
+                }
+                hidden[unit] = Math.max(0, sum);
+                logit += w2[unit] * hidden[unit];
+            }
+            const probability = 1 / (1 + Math.exp(-logit));
+            const label = labels[n];
+            const weight = classWeights[label];
+            loss -= weight * (label === 1 ? Math.log(probability + 1e-7) : Math.log(1 - probability + 1e-7));
+            const delta = weight * (probability - label) / inputs.length;
+            grads.b2[0] += delta;
+            for (let unit = 0; unit < hiddenUnits; unit++) {
+                grads.w2[unit] += delta * hidden[unit];
+                if (hidden[unit] <= 0) {
+                    continue;
+                }
+                const hiddenDelta = delta * w2[unit];
+                grads.b1[unit] += hiddenDelta;
+                const offset = unit * inputSize;
+                for (let i = 0; i < inputSize; i++) {
+                    grads.w1[offset + i] += hiddenDelta * input[i];
+                }
+            }
+        });
+
+        optimizer.t++;
+        const beta1 = 0.9;
+        const beta2 = 0.999;
+        const correction1 = 1 - beta1 ** optimizer.t;
+        const correction2 = 1 - beta2 ** optimizer.t;
+        const update = (params, grad, state, decay) => {
+            for (let i = 0; i < params.length; i++) {
+                const g = grad[i] + decay * params[i];
+                state.m[i] = beta1 * state.m[i] + (1 - beta1) * g;
+                state.v[i] = beta2 * state.v[i] + (1 - beta2) * g * g;
+                params[i] -= this.learningRate * (state.m[i] / correction1) / (Math.sqrt(state.v[i] / correction2) + 1e-8);
+            }
+        };
+        update(w1, grads.w1, optimizer.w1, this.weightDecay);
+        update(b1, grads.b1, optimizer.b1, 0);
+        update(w2, grads.w2, optimizer.w2, this.weightDecay);
+        const b2 = new Float32Array([model.b2]);
+        update(b2, grads.b2, optimizer.b2, 0);
+        model.b2 = b2[0];
+        return loss;
+    }
+}
@@ -39,6 +39,8 @@ async function flushMemory() {
 // --- Constants ---
 // Use Turbo model as per whisper-web example for best performance/accuracy balance
 const WHISPER_MODEL_ID = 'onnx-community/whisper-large-v3-turbo';
+// Small English model for checking wake word detections, kept loaded next to the current pipeline
+const VERIFIER_MODEL_ID = 'onnx-community/whisper-tiny.en';
 const CHAT_MODEL_ID = "onnx-community/Qwen3-0.6B-ONNX";
 const CHAT_TOKENIZER_ID = "onnx-community/Qwen3-0.6B-ONNX";
 // Use absolute URL to avoid fetch issues in workers.
@@ -223,6 +225,7 @@ self.addEventListener('message', async (e) => {
             case 'transcribe': await handleTranscribe(data || e.data); break;
             case 'chat': await handleChat(data || e.data); break;
             case 'speak': await handleSpeak(data || e.data); break;
+            case 'verify': await handleVerify(data || e.data); break;
             case 'preload': await handlePreload(); break;
             case 'interrupt': stopping_criteria.interrupt(); break;
             case 'reset':
@@ -364,6 +367,28 @@ async function handleTranscribe({ audio, language, model_id }) {
     }
 }
 
+// Loaded once and not managed by switchPipeline, so verifying does not evict the main pipeline
+let verifierPipeline = null;
+
+async function handleVerify({ id, audio, model_id }) {
+    try {
+        if (!verifierPipeline) {
+            verifierPipeline = WhisperPipeline.create(model_id || VERIFIER_MODEL_ID, (p) => self.postMessage({ status: 'progress', ...p }));
+            // Retry on the next request if loading failed
+            verifierPipeline.catch(() => { verifierPipeline = null; });
+        }
+        const { transcriber } = await verifierPipeline;
+
+        // A detection window is far shorter than a chunk; English-only models take no language or task
+        const output = await transcriber(audio, { top_k: 0, do_sample: false });
+
+        self.postMessage({ status: 'verified', id, text: output.text.trim() });
+    } catch (e) {
+        console.error("[Worker] Verify Error:", e);
+        self.postMessage({ status: 'error', action: 'verify', id, error: e.message || e });
+    }
+}
+
 async function handleChat({ messages, model_id }) {
     const pipeline = await manager.switchPipeline('chat', () =>
         ChatPipeline.create(model_id, (p) => self.postMessage({ status: 'progress', ...p }))
@@ -452,6 +477,13 @@ async function handleSpeak({ text, voice }) {
         TtsPipeline.create((p) => self.postMessage({ status: 'progress', ...p }), TTS_BASE_PATH)
     );
 
+    // Interrupted, e.g. while the model loaded: the answer is no longer wanted, report it done
+    // right away so the assistant can take the next command
+    if (stopping_criteria.interrupted) {
+        self.postMessage({ status: 'complete', message: 'Interrupted.' });
+        return;
+    }
+
     // Assuming refactored utils:
     let result = await generateSupertonicSpeech(
         sanitizedText,
@@ -460,16 +492,21 @@ async function handleSpeak({ text, voice }) {
         pipeline.processors,
         voice || 'M3', // default voice
         (audioChunk, sampleRate) => {
+            // Interrupted while synthesizing, the answer is no longer wanted
+            if (stopping_criteria.interrupted) return;
             self.postMessage({ status: 'audio_chunk', audio: audioChunk, sampleRate });
         },
-        TTS_STYLE_BASE
+        TTS_STYLE_BASE,
+        // Stops between model runs, rather than synthesizing the whole answer first
+        () => stopping_criteria.interrupted
     );
 
     // CLEANUP: Immediately nullify large data to free memory
     text = null;
     sanitizedText = null;
+    const interrupted = result === null;
     result = null;
     await flushMemory();
 
-    self.postMessage({ status: 'complete' });
+    self.postMessage(interrupted ? { status: 'complete', message: 'Interrupted.' } : { status: 'complete' });
 }
\ No newline at end of file
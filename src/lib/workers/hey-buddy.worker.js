@@ -0,0 +1,77 @@
+/**
+ * Runs a HeyBuddy instance off the main thread for RemoteHeyBuddy.
+ * Audio frames arrive on a MessagePort straight from the worklet; only events,
+ * call results and a small state snapshot are posted back.
+ */
+import { HeyBuddy } from '../hey-buddy.js';
+import { configureOnnxRuntime } from './onnx-runtime.js';
+
+configureOnnxRuntime();
+
+let heyBuddy = null;
+
+// Errors do not survive postMessage reliably, send what the main thread needs to rebuild them
+function serializeError(error) {
+    return { name: error?.name || 'Error', message: error?.message || String(error) };
+}
+
+// State the main thread reads synchronously, sent along with every message
+function snapshot() {
+    if (heyBuddy === null) {
+        return null;
+    }
+    const wakeWordNames = heyBuddy.wakeWordNames;
+    return {
+        wakeWordNames,
+        wakeWordOptions: wakeWordNames.reduce((carry, name) => {
+            carry[name] = heyBuddy.getWakeWordOptions(name);
+            return carry;
+        }, {}),
+        frameTimeEma: heyBuddy.frameTimeEma,
+        frameIntervalEma: heyBuddy.frameIntervalEma,
+        recording: heyBuddy.recording,
+        paused: heyBuddy.paused,
+        inFollowUp: heyBuddy.inFollowUp,
+        pushToTalk: heyBuddy.pushToTalk,
+        isReady: heyBuddy.isReady,
+    };
+}
+
+function post(message) {
+    self.postMessage({ ...message, state: snapshot() });
+}
+
+const actions = {
+    create({ options, port }) {
+        if (heyBuddy !== null) {
+            throw new Error('HeyBuddy has already been created');
+        }
+        heyBuddy = new HeyBuddy({ ...options, audioSource: port });
+        heyBuddy.onAny((event, ...args) => {
+            post({ event, args: event === 'error' ? args.map(serializeError) : args });
+        });
+    },
+
+    async call({ method, args }) {
+        if (heyBuddy === null) {
+            throw new Error('HeyBuddy has not been created');
+        }
+        if (typeof heyBuddy[method] !== 'function') {
+            throw new Error(`Unknown method: ${method}`);
+        }
+        return await heyBuddy[method](...args);
+    },
+};
+
+self.addEventListener('message', async (e) => {
+    const { id, action, data } = e.data;
+    try {
+        if (!actions[action]) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        const result = await actions[action](data);
+        post({ id, result });
+    } catch (err) {
+        post({ id, error: serializeError(err) });
+    }
+});
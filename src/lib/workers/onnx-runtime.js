@@ -0,0 +1,12 @@
+/**
+ * ONNX runtime settings shared by the workers that run models: the same as the AI worker,
+ * single threaded and without a proxy worker of its own.
+ */
+import { env } from 'onnxruntime-web';
+
+export function configureOnnxRuntime() {
+    env.wasm.wasmPaths = `${self.location.origin}/morti/`;
+    env.wasm.proxy = false;
+    env.wasm.simd = true;
+    env.wasm.numThreads = 1;
+}
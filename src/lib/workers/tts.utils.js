@@ -227,9 +227,18 @@ export async function loadStyleEmbeddings(voice, basePath = null) {
 
 // --- Generation ---
 
-export async function generateSupertonicSpeech(text, models, cfgs, processors, voice, onAudioChunk, styleBasePath = null) {
+// shouldStop is checked between the model runs; once it returns true, synthesis stops and null is returned
+export async function generateSupertonicSpeech(text, models, cfgs, processors, voice, onAudioChunk, styleBasePath = null, shouldStop = null) {
+    const stopped = async () => {
+        if (shouldStop === null) return false;
+        // Let pending messages in first, e.g. the worker's interrupt
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return shouldStop();
+    };
+
     // 1. Load Voice Style
     const styles = await loadStyleEmbeddings(voice, styleBasePath);
+    if (await stopped()) return null;
     const { styleTtl: styleTtlTensor, styleDp: styleDpTensor } = styles;
 
     const textList = [text];
@@ -250,6 +259,8 @@ export async function generateSupertonicSpeech(text, models, cfgs, processors, v
         text_mask: textMaskTensor
     });
 
+    if (await stopped()) return null;
+
     const durOnnx = Array.from(dpResult.duration.data);
     for (let i = 0; i < durOnnx.length; i++) durOnnx[i] *= durationFactor;
 
@@ -263,6 +274,8 @@ export async function generateSupertonicSpeech(text, models, cfgs, processors, v
         text_mask: textMaskTensor
     });
 
+    if (await stopped()) return null;
+
     const textEmbTensor = textEncResult.text_emb;
 
     // Step 3: Denoise
@@ -305,6 +318,7 @@ export async function generateSupertonicSpeech(text, models, cfgs, processors, v
         });
 
         latentBuffer.set(vectorEstResult.denoised_latent.data);
+        if (await stopped()) return null;
     }
 
     // Step 4: Vocoder
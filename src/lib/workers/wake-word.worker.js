@@ -0,0 +1,54 @@
+/**
+ * Hosts wake word models for a WakeWordPool, so models in different workers run in parallel.
+ * Requests are `{ id, action, data }` and are answered with `{ id, result }` or `{ id, error }`.
+ */
+import { ONNX } from '../onnx.js';
+import { WakeWord } from '../models/wake-word.js';
+import { configureOnnxRuntime } from './onnx-runtime.js';
+
+// Parallelism comes from the pool, so one thread each
+configureOnnxRuntime();
+
+// Loaded models, keyed by the id the pool gave them
+const wakeWords = {};
+
+const actions = {
+    async load({ modelId, model }) {
+        // The threshold is applied by the proxy on the main thread
+        const wakeWord = new WakeWord(model, 0.5);
+        await wakeWord.test();
+        wakeWords[modelId] = wakeWord;
+        return { duration: wakeWord.duration, executionProvider: wakeWord.executionProvider };
+    },
+
+    async run({ modelId, data, dims }) {
+        const wakeWord = wakeWords[modelId];
+        if (!wakeWord) {
+            throw new Error(`Wake word model ${modelId} is not loaded`);
+        }
+        const embeddings = await ONNX.createTensor('float32', data, dims);
+        const probability = await wakeWord.run(embeddings);
+        return { probability, duration: wakeWord.duration, lastDuration: wakeWord.lastDuration };
+    },
+
+    async release({ modelId }) {
+        const wakeWord = wakeWords[modelId];
+        delete wakeWords[modelId];
+        if (wakeWord) {
+            await wakeWord.release();
+        }
+    },
+};
+
+self.addEventListener('message', async (e) => {
+    const { id, action, data } = e.data;
+    try {
+        if (!actions[action]) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        const result = await actions[action](data);
+        self.postMessage({ id, result });
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+});